@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * techstack-sync - CLI entry point for the Tech Stack Sync workflow
+ *
+ * Usage:
+ *   node scripts/techstack-sync.js --owner <owner> [options]
+ *
+ * Options:
+ *   --owner <name>       GitHub user or organisation to scan (default: $TARGET_OWNER)
+ *   --source <type>      Repo source: "github" (default) or "local"
+ *   --repos-dir <dir>    Directory of repos for the local source
+ *   --analyser <type>    Analyser: "auto" (default: stack-analyser with the built-in detector as
+ *                        fallback, or the detector alone when stack-analyser isn't installed),
+ *                        "stack-analyser", "manifest" (built-in detector) or "file" (reads <repo>/stack.json)
+ *   --readme <file>      README to update (default: README.md)
+ *   --stacks <file>      Output JSON file, also what the 3D site loads (default: public/stacks.json)
+ *   --cache <file>       Per-repo analysis cache keyed by HEAD SHA (default: techstack-cache.json; "" disables)
+ *   --concurrency <n>    Repos analysed in parallel (default: 4)
+ *   --history <file>     Snapshot history, one JSON line per run (default: stacks-history.jsonl; "" disables)
+ *   --marker <name>      Section marker name (default: $TECHSTACK_SECTION_MARKER or TECHSTACK)
+ *   --overrides <file>   Technology aliases, category overrides and hidden list (default: techstack.overrides.json)
+ *   --config <file>      Sections config (default: techstack.config.json); overrides --marker
+ *   --csv <file>         Also write one CSV row per (repo, technology, category); also "exports.csv" in the config
+ *   --feed <file>        Also write a JSON Feed of stack changes between runs; also "exports.feed" in the config
+ *   --projects <file>    Also write the project list for the 3D site (it loads public/projects.json); also "exports.projects"
+ *   --svg-dir <dir>      Write SVG cards (light and dark) to this directory; also "cards.dir" in the config
+ *   --dry-run            Print a README diff and stacks.json summary without writing anything
+ *
+ * Exit codes: 0 success (with --dry-run: nothing would change), 1 --dry-run found changes, 2 error
+ */
+
+import { parseArgs } from 'node:util';
+import { GitHubRepoSource, LocalRepoSource } from './techstack/repoSources.js';
+import { FallbackAnalyser, FileAnalyser, ManifestAnalyser, StackAnalyser } from './techstack/analysers.js';
+import { loadConfig } from './techstack/config.js';
+import { loadOverrides } from './techstack/normalise.js';
+import { runSync } from './techstack/sync.js';
+
+const { values: options } = parseArgs({
+    options: {
+        owner: { type: 'string', default: process.env.TARGET_OWNER },
+        source: { type: 'string', default: 'github' },
+        'repos-dir': { type: 'string' },
+        analyser: { type: 'string', default: 'auto' },
+        readme: { type: 'string', default: 'README.md' },
+        stacks: { type: 'string', default: 'public/stacks.json' },
+        cache: { type: 'string', default: 'techstack-cache.json' },
+        concurrency: { type: 'string', default: '4' },
+        history: { type: 'string', default: 'stacks-history.jsonl' },
+        marker: { type: 'string', default: process.env.TECHSTACK_SECTION_MARKER || 'TECHSTACK' },
+        overrides: { type: 'string', default: 'techstack.overrides.json' },
+        config: { type: 'string', default: 'techstack.config.json' },
+        csv: { type: 'string' },
+        feed: { type: 'string' },
+        projects: { type: 'string' },
+        'svg-dir': { type: 'string' },
+        'dry-run': { type: 'boolean', default: false }
+    }
+});
+
+function createSource(selection) {
+    switch (options.source) {
+        case 'github':
+            if (!options.owner) {
+                throw new Error('--owner (or TARGET_OWNER) is required for the github source');
+            }
+            return new GitHubRepoSource({
+                owner: options.owner,
+                owners: selection.owners,
+                limit: selection.limit
+            });
+        case 'local':
+            if (!options['repos-dir']) {
+                throw new Error('--repos-dir is required for the local source');
+            }
+            return new LocalRepoSource({ owner: options.owner, reposDir: options['repos-dir'] });
+        default:
+            throw new Error(`Unknown repo source "${options.source}"`);
+    }
+}
+
+async function createAnalyser() {
+    switch (options.analyser) {
+        case 'auto':
+            if (await StackAnalyser.isAvailable()) {
+                return new FallbackAnalyser(new StackAnalyser(), new ManifestAnalyser());
+            }
+            console.log('stack-analyser is not installed; using the built-in manifest detector.');
+            return new ManifestAnalyser();
+        case 'stack-analyser':
+            return new StackAnalyser();
+        case 'manifest':
+            return new ManifestAnalyser();
+        case 'file':
+            return new FileAnalyser();
+        default:
+            throw new Error(`Unknown analyser "${options.analyser}"`);
+    }
+}
+
+try {
+    const config = await loadConfig(options.config);
+    const sections = config && config.sections && config.sections.length > 0
+        ? config.sections
+        : [{ marker: options.marker }];
+    const selection = (config && config.repos) || {};
+    const cardsConfig = (config && config.cards) || {};
+    const cardsDir = options['svg-dir'] || cardsConfig.dir || (config && config.cards ? 'techstack-cards' : null);
+    const source = createSource(selection);
+
+    const { changed } = await runSync({
+        owner: source.owner,
+        source,
+        analyser: await createAnalyser(),
+        selection,
+        cachePath: options.cache,
+        concurrency: parseInt(options.concurrency, 10) || 1,
+        readmePath: (config && config.readme) || options.readme,
+        stacksPath: options.stacks,
+        historyPath: options.history,
+        sections,
+        overrides: await loadOverrides(options.overrides),
+        scoring: config && config.scoring,
+        cards: cardsDir ? { ...cardsConfig, dir: cardsDir } : null,
+        exports: {
+            ...((config && config.exports) || {}),
+            ...(options.csv ? { csv: options.csv } : {}),
+            ...(options.feed ? { feed: options.feed } : {}),
+            ...(options.projects ? { projects: options.projects } : {})
+        },
+        dryRun: options['dry-run']
+    });
+
+    if (options['dry-run'] && changed) {
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
@@ -0,0 +1,62 @@
+/**
+ * Aggregate - Counts technologies across repos in stacks.json
+ * Each entry carries the score from stacks.technologies, or its repo count when unscored
+ */
+
+export function countTechnologies(stacks) {
+    const counts = new Map();
+    const scores = new Map(
+        (stacks.technologies || []).map(tech => [`${tech.category}|${tech.name}`, tech.score])
+    );
+
+    stacks.repos.forEach(({ repo, technologies }) => {
+        technologies.forEach(tech => {
+            const category = tech.category || 'other';
+            const key = `${category}|${tech.name}`;
+
+            if (!counts.has(key)) {
+                counts.set(key, { id: tech.id, category, name: tech.name, repos: new Set() });
+            }
+            counts.get(key).repos.add(repo.name);
+        });
+    });
+
+    return [...counts.values()].map(({ id, category, name, repos }) => ({
+        id,
+        category,
+        name,
+        repos: [...repos].sort(),
+        repoCount: repos.size,
+        score: scores.get(`${category}|${name}`) ?? repos.size
+    }));
+}
+
+export function compareByScore(a, b) {
+    return b.score - a.score ||
+        b.repoCount - a.repoCount ||
+        a.name.localeCompare(b.name);
+}
+
+// Highest score first, ties broken by repo count then name
+export function rankTechnologies(stacks) {
+    return countTechnologies(stacks).sort(compareByScore);
+}
+
+export function groupByCategory(technologies) {
+    const categories = new Map();
+
+    [...technologies]
+        .sort((a, b) => a.category.localeCompare(b.category) || compareByScore(a, b))
+        .forEach(tech => {
+            if (!categories.has(tech.category)) {
+                categories.set(tech.category, []);
+            }
+            categories.get(tech.category).push(tech);
+        });
+
+    return [...categories.entries()].map(([category, techs]) => ({ category, technologies: techs }));
+}
+
+export function aggregateByCategory(stacks) {
+    return groupByCategory(countTechnologies(stacks));
+}
@@ -0,0 +1,100 @@
+/**
+ * Analysers - Detect the technologies used in a checked-out repo
+ * Each analyser exposes analyse(repoDir) and resolves to the raw stack JSON or null
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { detectTechnologies } from './detectors.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Runs the @specfy/stack-analyser CLI
+ */
+export class StackAnalyser {
+    constructor({ command = 'npx', args = ['@specfy/stack-analyser'] } = {}) {
+        this.command = command;
+        this.args = args;
+    }
+
+    // True when the CLI can run without downloading anything
+    static async isAvailable() {
+        try {
+            await execFileAsync('npx', ['--no-install', '@specfy/stack-analyser', '--help']);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async analyse(repoDir) {
+        const outputFile = path.join(repoDir, 'stack.json');
+
+        await execFileAsync(this.command, [
+            ...this.args,
+            repoDir,
+            '--flat',
+            `--output=${outputFile}`
+        ], { maxBuffer: 64 * 1024 * 1024 });
+
+        const stack = await readJson(outputFile);
+        return stack && { ...stack, detectedBy: 'stack-analyser' };
+    }
+}
+
+/**
+ * Built-in detector that reads manifests and file extensions (see detectors.js)
+ */
+export class ManifestAnalyser {
+    async analyse(repoDir) {
+        const technologies = await detectTechnologies(repoDir);
+        return technologies.length > 0 ? { flat: technologies } : null;
+    }
+}
+
+/**
+ * Tries `primary` and falls back to `fallback` when it throws or finds nothing
+ */
+export class FallbackAnalyser {
+    constructor(primary, fallback) {
+        this.primary = primary;
+        this.fallback = fallback;
+    }
+
+    async analyse(repoDir) {
+        try {
+            const stack = await this.primary.analyse(repoDir);
+            if (stack) return stack;
+        } catch (error) {
+            // fall through to the built-in detector
+        }
+
+        return this.fallback.analyse(repoDir);
+    }
+}
+
+/**
+ * Reads a pre-computed stack.json from the repo directory (offline runs and fixtures)
+ */
+export class FileAnalyser {
+    constructor({ fileName = 'stack.json' } = {}) {
+        this.fileName = fileName;
+    }
+
+    async analyse(repoDir) {
+        const stack = await readJson(path.join(repoDir, this.fileName));
+        return stack && { ...stack, detectedBy: stack.detectedBy || 'file' };
+    }
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
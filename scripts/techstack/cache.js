@@ -0,0 +1,68 @@
+/**
+ * AnalysisCache - Per-repo analysis results keyed by the HEAD commit they were taken from
+ *
+ * {
+ *   "version": 1,
+ *   "repos": {
+ *     "https://github.com/owner/repo": { "sha": "abc123", "analysedAt": "...", "technologies": [...] }
+ *   }
+ * }
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+const CACHE_VERSION = 1;
+
+export class AnalysisCache {
+    constructor(cachePath, entries = {}) {
+        this.cachePath = cachePath;
+        this.entries = entries;
+        this.seen = new Set();
+    }
+
+    static async load(cachePath) {
+        if (!cachePath) return new AnalysisCache(null);
+
+        try {
+            const raw = JSON.parse(await readFile(cachePath, 'utf8'));
+
+            // Results from an older cache layout are simply re-analysed
+            if (raw.version !== CACHE_VERSION) return new AnalysisCache(cachePath);
+
+            return new AnalysisCache(cachePath, raw.repos || {});
+        } catch (error) {
+            if (error.code === 'ENOENT') return new AnalysisCache(cachePath);
+            throw error;
+        }
+    }
+
+    // Cached technologies when the repo is still at `sha`, otherwise null
+    lookup(key, sha) {
+        this.seen.add(key);
+
+        const entry = this.entries[key];
+        return sha && entry && entry.sha === sha ? entry.technologies : null;
+    }
+
+    store(key, sha, technologies) {
+        this.seen.add(key);
+        if (!sha) return;
+
+        this.entries[key] = {
+            sha,
+            analysedAt: new Date().toISOString(),
+            technologies
+        };
+    }
+
+    // Writes the cache, dropping repos that were not part of this run
+    async save() {
+        if (!this.cachePath) return;
+
+        const repos = Object.fromEntries(
+            Object.entries(this.entries).filter(([key]) => this.seen.has(key))
+        );
+
+        await writeFile(this.cachePath, `${JSON.stringify({ version: CACHE_VERSION, repos }, null, 2)}\n`);
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Config - Loads techstack.config.json
+ *
+ * {
+ *   "readme": "README.md",
+ *   "repos": { "owners": ["my-org"], "forks": false, "archived": false, "redactPrivate": true },
+ *   "sections": [
+ *     { "marker": "LANGUAGES", "style": "badges", "categories": ["language"], "limit": 10 },
+ *     { "marker": "PROJECTS", "style": "repos", "exclude": ["*.github.io"], "limit": 6 }
+ *   ]
+ * }
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const FILTER_KEYS = ['include', 'exclude', 'categories', 'excludeCategories'];
+
+export async function loadConfig(configPath) {
+    let raw;
+    try {
+        raw = await readFile(configPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const config = JSON.parse(raw);
+    validateSections(config.sections || [], configPath);
+    validateRepos(config.repos || {}, configPath);
+    return config;
+}
+
+function validateRepos(repos, configPath) {
+    ['owners', 'include', 'exclude', 'topics', 'excludeTopics'].forEach(key => {
+        if (repos[key] !== undefined && !Array.isArray(repos[key])) {
+            throw new Error(`${configPath}: repos.${key} must be an array`);
+        }
+    });
+
+    if (repos.visibility && !['all', 'public', 'private'].includes(repos.visibility)) {
+        throw new Error(`${configPath}: repos.visibility must be "all", "public" or "private"`);
+    }
+}
+
+function validateSections(sections, configPath) {
+    if (!Array.isArray(sections)) {
+        throw new Error(`${configPath}: "sections" must be an array`);
+    }
+
+    const seen = new Set();
+    sections.forEach((section, index) => {
+        if (!section.marker) {
+            throw new Error(`${configPath}: sections[${index}] is missing "marker"`);
+        }
+        if (seen.has(section.marker)) {
+            throw new Error(`${configPath}: marker "${section.marker}" is used by more than one section`);
+        }
+        seen.add(section.marker);
+
+        FILTER_KEYS.forEach(key => {
+            if (section[key] !== undefined && !Array.isArray(section[key])) {
+                throw new Error(`${configPath}: sections[${index}].${key} must be an array`);
+            }
+        });
+    });
+}
+
+// Splits a section into its filters and the options passed to the renderer
+export function splitSection(section) {
+    const { marker, ...rest } = section;
+    const filters = {};
+    const options = {};
+
+    Object.entries(rest).forEach(([key, value]) => {
+        if (FILTER_KEYS.includes(key)) {
+            filters[key] = value;
+        } else {
+            options[key] = value;
+        }
+    });
+
+    return { marker, filters, options };
+}
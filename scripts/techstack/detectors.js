@@ -0,0 +1,336 @@
+/**
+ * Detectors - Lightweight technology detection straight from manifests and file extensions
+ * Used when @specfy/stack-analyser fails or isn't installed. Every detector is
+ * { name, detect(repoDir) => [{ name, category }] } and tags what it finds with its name.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Package name -> [technology, category], per ecosystem
+const NPM_PACKAGES = {
+    react: ['React', 'framework'],
+    vue: ['Vue.js', 'framework'],
+    '@angular/core': ['Angular', 'framework'],
+    svelte: ['Svelte', 'framework'],
+    next: ['Next.js', 'framework'],
+    nuxt: ['Nuxt', 'framework'],
+    express: ['Express', 'framework'],
+    fastify: ['Fastify', 'framework'],
+    '@nestjs/core': ['NestJS', 'framework'],
+    three: ['Three.js', 'framework'],
+    gsap: ['GSAP', 'tool'],
+    typescript: ['TypeScript', 'language'],
+    vite: ['Vite', 'tool'],
+    webpack: ['Webpack', 'tool'],
+    jest: ['Jest', 'tool'],
+    vitest: ['Vitest', 'tool'],
+    tailwindcss: ['Tailwind CSS', 'framework'],
+    mongoose: ['MongoDB', 'db'],
+    mongodb: ['MongoDB', 'db'],
+    pg: ['PostgreSQL', 'db'],
+    mysql2: ['MySQL', 'db'],
+    redis: ['Redis', 'db'],
+    ioredis: ['Redis', 'db'],
+    prisma: ['Prisma', 'tool'],
+    graphql: ['GraphQL', 'tool'],
+    electron: ['Electron', 'framework']
+};
+
+const PYTHON_PACKAGES = {
+    django: ['Django', 'framework'],
+    flask: ['Flask', 'framework'],
+    fastapi: ['FastAPI', 'framework'],
+    numpy: ['NumPy', 'tool'],
+    pandas: ['pandas', 'tool'],
+    torch: ['PyTorch', 'framework'],
+    tensorflow: ['TensorFlow', 'framework'],
+    sqlalchemy: ['SQLAlchemy', 'tool'],
+    'psycopg2': ['PostgreSQL', 'db'],
+    'psycopg2-binary': ['PostgreSQL', 'db'],
+    pymongo: ['MongoDB', 'db'],
+    redis: ['Redis', 'db'],
+    pytest: ['pytest', 'tool']
+};
+
+const GO_MODULES = {
+    'github.com/gin-gonic/gin': ['Gin', 'framework'],
+    'github.com/labstack/echo': ['Echo', 'framework'],
+    'github.com/gofiber/fiber': ['Fiber', 'framework'],
+    'gorm.io/gorm': ['GORM', 'tool'],
+    'github.com/jackc/pgx': ['PostgreSQL', 'db'],
+    'github.com/redis/go-redis': ['Redis', 'db']
+};
+
+const CARGO_CRATES = {
+    tokio: ['Tokio', 'framework'],
+    'actix-web': ['Actix Web', 'framework'],
+    axum: ['Axum', 'framework'],
+    diesel: ['Diesel', 'tool'],
+    sqlx: ['SQLx', 'tool']
+};
+
+const EXTENSIONS = {
+    '.js': ['JavaScript', 'language'],
+    '.mjs': ['JavaScript', 'language'],
+    '.jsx': ['JavaScript', 'language'],
+    '.ts': ['TypeScript', 'language'],
+    '.tsx': ['TypeScript', 'language'],
+    '.py': ['Python', 'language'],
+    '.go': ['Go', 'language'],
+    '.rs': ['Rust', 'language'],
+    '.java': ['Java', 'language'],
+    '.kt': ['Kotlin', 'language'],
+    '.rb': ['Ruby', 'language'],
+    '.php': ['PHP', 'language'],
+    '.cs': ['C#', 'language'],
+    '.cpp': ['C++', 'language'],
+    '.c': ['C', 'language'],
+    '.swift': ['Swift', 'language'],
+    '.dart': ['Dart', 'language'],
+    '.sh': ['Shell', 'language'],
+    '.html': ['HTML', 'language'],
+    '.css': ['CSS', 'language'],
+    '.scss': ['Sass', 'language'],
+    '.vue': ['Vue.js', 'framework'],
+    '.tf': ['Terraform', 'infra']
+};
+
+const SKIPPED_DIRS = new Set(['.git', 'node_modules', 'vendor', 'dist', 'build', 'target', '.venv', 'venv', '__pycache__']);
+const MAX_FILES = 5000;
+
+async function readText(file) {
+    try {
+        return await readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+        throw error;
+    }
+}
+
+function lookup(table, names) {
+    return names
+        .map(name => table[name.toLowerCase()])
+        .filter(Boolean)
+        .map(([name, category]) => ({ name, category }));
+}
+
+// Keys of a [section] in a TOML file, e.g. Cargo's [dependencies]
+function tomlSectionKeys(text, sectionPattern) {
+    const keys = [];
+    let inSection = false;
+
+    text.split('\n').forEach(line => {
+        const header = line.match(/^\s*\[([^\]]+)\]/);
+        if (header) {
+            inSection = sectionPattern.test(header[1].trim());
+            return;
+        }
+
+        const key = inSection && line.match(/^\s*([A-Za-z0-9_.-]+)\s*=/);
+        if (key) keys.push(key[1]);
+    });
+
+    return keys;
+}
+
+// Strings in the arrays assigned under a TOML [section] (only `key` when given), e.g.
+// PEP 621's dependencies = ["flask>=3", "redis[hiredis]"]; other keys' strings are skipped
+function tomlArrayStrings(text, section, key) {
+    const strings = [];
+    let current = null;
+    let inArray = false;
+
+    text.split('\n').forEach(line => {
+        let rest = line;
+
+        if (!inArray) {
+            const header = line.match(/^\s*\[([^\]]+)\]/);
+            if (header) {
+                current = header[1].trim();
+                return;
+            }
+
+            const assignment = current === section && line.match(/^\s*([A-Za-z0-9_.-]+)\s*=\s*\[(.*)$/);
+            if (!assignment || (key && assignment[1] !== key)) return;
+
+            inArray = true;
+            rest = assignment[2];
+        }
+
+        const tokens = /"([^"]*)"|'([^']*)'|(\])|#/g;
+        let token;
+        while ((token = tokens.exec(rest)) !== null) {
+            if (token[0] === '#') break;
+            if (token[3]) {
+                inArray = false;
+                break;
+            }
+            strings.push(token[1] !== undefined ? token[1] : token[2]);
+        }
+    });
+
+    return strings;
+}
+
+const packageJson = {
+    name: 'package.json',
+    async detect(repoDir) {
+        const text = await readText(path.join(repoDir, 'package.json'));
+        if (text === null) return [];
+
+        let manifest;
+        try {
+            manifest = JSON.parse(text);
+        } catch (error) {
+            return [{ name: 'Node.js', category: 'language' }];
+        }
+
+        const dependencies = Object.keys({
+            ...manifest.dependencies,
+            ...manifest.devDependencies,
+            ...manifest.peerDependencies
+        });
+
+        return [{ name: 'Node.js', category: 'language' }, ...lookup(NPM_PACKAGES, dependencies)];
+    }
+};
+
+const python = {
+    name: 'python',
+    async detect(repoDir) {
+        const requirements = await readText(path.join(repoDir, 'requirements.txt'));
+        const pyproject = await readText(path.join(repoDir, 'pyproject.toml'));
+        if (requirements === null && pyproject === null) return [];
+
+        const packages = [];
+        if (requirements) {
+            requirements.split('\n').forEach(line => {
+                const match = line.trim().match(/^([A-Za-z0-9_.-]+)/);
+                if (match && !line.trim().startsWith('#')) packages.push(match[1]);
+            });
+        }
+        if (pyproject) {
+            // PEP 621 / PEP 735 dependency arrays; name, description and classifiers never count
+            [
+                ...tomlArrayStrings(pyproject, 'project', 'dependencies'),
+                ...tomlArrayStrings(pyproject, 'project.optional-dependencies'),
+                ...tomlArrayStrings(pyproject, 'dependency-groups')
+            ].forEach(requirement => {
+                const match = requirement.trim().match(/^([A-Za-z0-9_.-]+)/);
+                if (match) packages.push(match[1]);
+            });
+            // Poetry dependency tables, including dev and group tables
+            packages.push(...tomlSectionKeys(pyproject, /^tool\.poetry\.(group\.[^.]+\.)?(dev-)?dependencies$/));
+        }
+
+        return [{ name: 'Python', category: 'language' }, ...lookup(PYTHON_PACKAGES, packages)];
+    }
+};
+
+const goMod = {
+    name: 'go.mod',
+    async detect(repoDir) {
+        const text = await readText(path.join(repoDir, 'go.mod'));
+        if (text === null) return [];
+
+        const modules = (text.match(/^\s*(?:require\s+)?([a-z0-9.-]+\.[a-z]+\/[^\s]+)\s+v/gm) || [])
+            .map(line => line.trim().replace(/^require\s+/, '').split(/\s+/)[0].replace(/\/v\d+$/, ''));
+
+        return [{ name: 'Go', category: 'language' }, ...lookup(GO_MODULES, modules)];
+    }
+};
+
+const cargoToml = {
+    name: 'Cargo.toml',
+    async detect(repoDir) {
+        const text = await readText(path.join(repoDir, 'Cargo.toml'));
+        if (text === null) return [];
+
+        const crates = tomlSectionKeys(text, /^(dev-|build-)?dependencies$/);
+        return [{ name: 'Rust', category: 'language' }, ...lookup(CARGO_CRATES, crates)];
+    }
+};
+
+const docker = {
+    name: 'docker',
+    async detect(repoDir) {
+        const entries = await readdir(repoDir);
+        const found = [];
+
+        if (entries.some(entry => /^Dockerfile(\..+)?$/i.test(entry) || /\.Dockerfile$/i.test(entry))) {
+            found.push({ name: 'Docker', category: 'infra' });
+        }
+        if (entries.some(entry => /^(docker-)?compose\.ya?ml$/i.test(entry))) {
+            found.push({ name: 'Docker Compose', category: 'infra' });
+        }
+
+        return found;
+    }
+};
+
+const githubWorkflows = {
+    name: 'github-workflows',
+    async detect(repoDir) {
+        try {
+            const entries = await readdir(path.join(repoDir, '.github', 'workflows'));
+            return entries.some(entry => /\.ya?ml$/.test(entry))
+                ? [{ name: 'GitHub Actions', category: 'ci' }]
+                : [];
+        } catch (error) {
+            return [];
+        }
+    }
+};
+
+const fileExtensions = {
+    name: 'file-extensions',
+    async detect(repoDir) {
+        const found = new Map();
+        const queue = [repoDir];
+        let files = 0;
+
+        while (queue.length > 0 && files < MAX_FILES) {
+            const dir = queue.shift();
+            let entries;
+            try {
+                entries = await readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                continue;
+            }
+
+            for (const entry of entries) {
+                if (entry.isDirectory()) {
+                    if (!SKIPPED_DIRS.has(entry.name)) queue.push(path.join(dir, entry.name));
+                } else if (entry.isFile()) {
+                    files++;
+                    const tech = EXTENSIONS[path.extname(entry.name).toLowerCase()];
+                    if (tech) found.set(tech[0], { name: tech[0], category: tech[1] });
+                }
+            }
+        }
+
+        return [...found.values()];
+    }
+};
+
+export const DETECTORS = [packageJson, python, goMod, cargoToml, docker, githubWorkflows, fileExtensions];
+
+/**
+ * Runs every detector; a technology found by several keeps the first detector's tag.
+ */
+export async function detectTechnologies(repoDir, detectors = DETECTORS) {
+    const technologies = new Map();
+
+    for (const detector of detectors) {
+        const found = await detector.detect(repoDir);
+
+        found.forEach(tech => {
+            if (!technologies.has(tech.name)) {
+                technologies.set(tech.name, { ...tech, detectedBy: detector.name });
+            }
+        });
+    }
+
+    return [...technologies.values()];
+}
@@ -0,0 +1,130 @@
+/**
+ * Diff - Line-based unified diff and "meaningful change" checks for dry runs
+ */
+
+import { createSnapshot, diffSnapshots, formatDiff } from './history.js';
+
+// Longest-common-subsequence edit script: [{ type: ' ' | '-' | '+', line }]
+function editScript(before, after) {
+    const rows = before.length + 1;
+    const cols = after.length + 1;
+    const lengths = Array.from({ length: rows }, () => new Uint32Array(cols));
+
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const script = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+            script.push({ type: ' ', line: before[i++] });
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            script.push({ type: '-', line: before[i++] });
+        } else {
+            script.push({ type: '+', line: after[j++] });
+        }
+    }
+    while (i < before.length) script.push({ type: '-', line: before[i++] });
+    while (j < after.length) script.push({ type: '+', line: after[j++] });
+
+    return script;
+}
+
+export function unifiedDiff(beforeText, afterText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+    const script = editScript(beforeText.split('\n'), afterText.split('\n'));
+    const changes = script.map((entry, index) => (entry.type === ' ' ? -1 : index)).filter(index => index >= 0);
+
+    if (changes.length === 0) return '';
+
+    // Group changes whose context windows overlap or touch into hunks
+    const hunks = [];
+    changes.forEach(index => {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= context * 2 + 1) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+    });
+
+    const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+    hunks.forEach(hunk => {
+        const from = Math.max(0, hunk.start - context);
+        const to = Math.min(script.length - 1, hunk.end + context);
+
+        // Line numbers at the start of the hunk
+        let oldLine = 1;
+        let newLine = 1;
+        script.slice(0, from).forEach(entry => {
+            if (entry.type !== '+') oldLine++;
+            if (entry.type !== '-') newLine++;
+        });
+
+        const body = script.slice(from, to + 1);
+        const oldCount = body.filter(entry => entry.type !== '+').length;
+        const newCount = body.filter(entry => entry.type !== '-').length;
+
+        // An empty range is numbered after the line it follows, as diff -u does
+        output.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        body.forEach(entry => output.push(`${entry.type}${entry.line}`));
+    });
+
+    return output.join('\n');
+}
+
+// "Last updated" lines change on every run and never count as a change on their own
+const TIMESTAMP_LINE = /^Last updated: .*$/gm;
+// Nor does the date of the history snapshot a `style=changes` section compares against
+const BASELINE_DATE = /(New since|No stack changes since) \d{4}-\d{2}-\d{2}\b/g;
+
+function normaliseReadme(text) {
+    return text.replace(TIMESTAMP_LINE, '').replace(BASELINE_DATE, '$1 <baseline>');
+}
+
+export function readmeChanged(before, after) {
+    return normaliseReadme(before) !== normaliseReadme(after);
+}
+
+/**
+ * Compares what stacks.json says rather than its bytes. Only generatedAt and what drifts
+ * with the clock alone (scores and push recency) are ignored; repo metadata such as
+ * description, stars, pushedAt and languages counts, since projects.json and the SVG cards show it.
+ */
+export function stacksChanged(before, after) {
+    if (!before) return true;
+
+    const fingerprint = ({ generatedAt, technologies = [], ...stacks }) => JSON.stringify({
+        ...stacks,
+        technologies: technologies.map(({ score, components = {}, ...tech }) => {
+            const { recency, ...counts } = components;
+            return { ...tech, components: counts };
+        })
+    });
+
+    return fingerprint(before) !== fingerprint(after);
+}
+
+export function summariseStacksChange(before, after) {
+    if (!before) return `stacks.json would be created with ${after.repos.length} repos.`;
+
+    const names = stacks => new Set(stacks.repos.map(({ repo }) => repo.name));
+    const beforeNames = names(before);
+    const afterNames = names(after);
+    const addedRepos = [...afterNames].filter(name => !beforeNames.has(name));
+    const removedRepos = [...beforeNames].filter(name => !afterNames.has(name));
+
+    return [
+        `Repos: ${beforeNames.size} -> ${afterNames.size}` +
+            (addedRepos.length ? `, added ${addedRepos.join(', ')}` : '') +
+            (removedRepos.length ? `, removed ${removedRepos.join(', ')}` : ''),
+        formatDiff(diffSnapshots(createSnapshot(before), createSnapshot(after)))
+    ].join('\n');
+}
@@ -0,0 +1,119 @@
+/**
+ * Exports - Machine-readable outputs besides stacks.json
+ *   CSV       - one row per (repo, technology, category)
+ *   JSON Feed - one item per run that changed the stack (https://www.jsonfeed.org/version/1.1/)
+ *   Projects  - public repos with description and technologies, read by the 3D site's Projects section
+ */
+
+import { rankTechnologies } from './aggregate.js';
+import { diffSnapshots } from './history.js';
+
+const CSV_COLUMNS = ['repo', 'url', 'private', 'technology', 'id', 'category', 'detected_by'];
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(stacks) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    stacks.repos.forEach(({ repo, technologies }) => {
+        technologies.forEach(tech => {
+            rows.push([
+                repo.name,
+                repo.url,
+                repo.private,
+                tech.name,
+                tech.id,
+                tech.category || 'other',
+                tech.detectedBy
+            ].map(csvField).join(','));
+        });
+    });
+
+    return `${rows.join('\n')}\n`;
+}
+
+function describeChanges(diff) {
+    const parts = [];
+    if (diff.added.length > 0) parts.push(`Added: ${diff.added.map(tech => tech.name).join(', ')}.`);
+    if (diff.removed.length > 0) parts.push(`Removed: ${diff.removed.map(tech => tech.name).join(', ')}.`);
+
+    const growth = diff.categories
+        .filter(entry => entry.delta !== 0)
+        .map(entry => `${entry.category} ${entry.delta > 0 ? '+' : ''}${entry.delta}`);
+    if (growth.length > 0) parts.push(`By category: ${growth.join(', ')}.`);
+
+    return parts.join(' ');
+}
+
+/**
+ * Builds the feed from the snapshot history (oldest first). Runs that changed
+ * nothing are left out; the newest `limit` items are kept.
+ */
+export function toJsonFeed(history, { owner, homePageUrl, feedUrl, limit = 20 } = {}) {
+    const items = [];
+
+    history.forEach((snapshot, index) => {
+        if (index === 0) return;
+
+        const diff = diffSnapshots(history[index - 1], snapshot);
+        if (diff.added.length === 0 && diff.removed.length === 0) return;
+
+        items.push({
+            id: snapshot.generatedAt,
+            title: `Tech stack changes on ${snapshot.generatedAt.slice(0, 10)}`,
+            content_text: describeChanges(diff),
+            date_published: snapshot.generatedAt,
+            tags: [...new Set([...diff.added, ...diff.removed].map(tech => tech.category))],
+            _techstack: {
+                since: diff.since,
+                added: diff.added,
+                removed: diff.removed,
+                categories: diff.categories.filter(entry => entry.delta !== 0)
+            }
+        });
+    });
+
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: `Tech stack changes for ${owner}`
+    };
+    if (homePageUrl) feed.home_page_url = homePageUrl;
+    if (feedUrl) feed.feed_url = feedUrl;
+    feed.items = items.reverse().slice(0, limit);
+
+    return feed;
+}
+
+/**
+ * Public repos for the site's project cards, most starred (then most recently
+ * pushed) first. Technologies are ordered by their overall score.
+ */
+export function toProjects(stacks, { limit = 12, technologies = 6 } = {}) {
+    const rank = new Map(rankTechnologies(stacks).map((tech, index) => [tech.name, index]));
+    const byRank = (a, b) => (rank.get(a.name) ?? Infinity) - (rank.get(b.name) ?? Infinity);
+
+    const projects = stacks.repos
+        .filter(({ repo }) => repo.url && !repo.private && !repo.redacted)
+        .sort((a, b) =>
+            (b.repo.stars || 0) - (a.repo.stars || 0) ||
+            (b.repo.pushedAt || '').localeCompare(a.repo.pushedAt || '') ||
+            a.repo.name.localeCompare(b.repo.name)
+        )
+        .slice(0, limit)
+        .map(({ repo, technologies: techs }) => ({
+            name: repo.name,
+            description: repo.description || '',
+            url: repo.url,
+            stars: repo.stars || 0,
+            technologies: [...techs].sort(byRank).slice(0, technologies).map(tech => tech.name)
+        }));
+
+    return {
+        owner: stacks.owner,
+        generatedAt: stacks.generatedAt,
+        projects
+    };
+}
@@ -0,0 +1,131 @@
+/**
+ * Filters - Narrow stacks.json down to what one README section should show
+ */
+
+export function globToRegExp(glob) {
+    const pattern = glob
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+export function matchesAny(name, globs) {
+    return globs.some(glob => globToRegExp(glob).test(name));
+}
+
+/**
+ * Applies a section's filters:
+ *   include / exclude       - repo name globs
+ *   categories              - keep only these categories
+ *   excludeCategories       - drop these categories
+ * With a category filter, repos left without technologies are dropped.
+ */
+export function filterStacks(stacks, filters = {}) {
+    const { categories, excludeCategories } = filters;
+    const keepRepo = repoFilter(filters);
+    const keepTechnology = technologyFilter(filters);
+
+    const repos = stacks.repos
+        .filter(({ repo }) => keepRepo(repo.name))
+        .map(entry => ({ ...entry, technologies: entry.technologies.filter(keepTechnology) }))
+        .filter(entry => !(categories || excludeCategories) || entry.technologies.length > 0);
+
+    return { ...stacks, repos };
+}
+
+/**
+ * Applies the same filters to a history snapshot, so a section compares like with like.
+ * Snapshots written before repo names were recorded only get the category filters.
+ */
+export function filterSnapshot(snapshot, filters = {}) {
+    if (!snapshot) return snapshot;
+
+    const keepRepo = repoFilter(filters);
+    const keepTechnology = technologyFilter(filters);
+
+    const technologies = snapshot.technologies
+        .filter(keepTechnology)
+        .map(tech => {
+            if (!tech.repos) return tech;
+
+            const repos = tech.repos.filter(keepRepo);
+            return { ...tech, repos, repoCount: repos.length };
+        })
+        .filter(tech => tech.repoCount > 0);
+
+    return { ...snapshot, technologies };
+}
+
+function repoFilter({ include, exclude }) {
+    return name =>
+        (!include || matchesAny(name, include)) &&
+        (!exclude || !matchesAny(name, exclude));
+}
+
+function technologyFilter({ categories, excludeCategories }) {
+    return tech => {
+        const category = tech.category || 'other';
+        return (!categories || categories.includes(category)) &&
+            (!excludeCategories || !excludeCategories.includes(category));
+    };
+}
+
+/**
+ * Chooses which listed repos get analysed (the "repos" block of techstack.config.json):
+ *   forks (false) / archived (true) / templates (true)  - include these kinds of repo
+ *   visibility ("all")                                  - "all", "public" or "private"
+ *   include / exclude                                   - repo name globs
+ *   topics / excludeTopics                              - topic globs
+ */
+export function selectRepos(repos, selection = {}) {
+    const {
+        forks = false,
+        archived = true,
+        templates = true,
+        visibility = 'all',
+        include,
+        exclude,
+        topics,
+        excludeTopics
+    } = selection;
+
+    return repos.filter(repo => {
+        const repoTopics = repo.topics || [];
+
+        return (forks || !repo.fork) &&
+            (archived || !repo.archived) &&
+            (templates || !repo.template) &&
+            (visibility === 'all' || (visibility === 'private') === Boolean(repo.private)) &&
+            (!include || matchesAny(repo.name, include)) &&
+            (!exclude || !matchesAny(repo.name, exclude)) &&
+            (!topics || repoTopics.some(topic => matchesAny(topic, topics))) &&
+            (!excludeTopics || !repoTopics.some(topic => matchesAny(topic, excludeTopics)));
+    });
+}
+
+/**
+ * Replaces private repo names and URLs with numbered placeholders.
+ * Their technologies are kept, so they still count towards totals.
+ */
+export function redactPrivateRepos(stacks) {
+    let count = 0;
+
+    const repos = stacks.repos.map(entry => {
+        if (!entry.repo.private) return entry;
+
+        count++;
+        const { name, url, owner, topics, description, ...rest } = entry.repo;
+        return {
+            ...entry,
+            repo: { ...rest, name: `Private repo ${count}`, url: null, redacted: true }
+        };
+    });
+
+    return { ...stacks, repos };
+}
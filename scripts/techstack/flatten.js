@@ -0,0 +1,76 @@
+/**
+ * Flatten - Turns raw analyser output into the stacks.json repo entry
+ * Accepts the `flat`/`nodes` shapes as well as stack-analyser's nested `childs` tree
+ */
+
+export function flattenStack(repo, rawStack) {
+    const technologies = new Map();
+
+    collectTechnologies(rawStack, rawStack && rawStack.detectedBy).forEach(tech => {
+        if (!technologies.has(tech.id)) {
+            technologies.set(tech.id, tech);
+        }
+    });
+
+    const entry = {
+        repo: {
+            name: repo.name,
+            url: repo.url,
+            private: Boolean(repo.private)
+        },
+        technologies: [...technologies.values()]
+    };
+
+    // Optional metadata used for scoring and the site's project cards
+    if (repo.description) entry.repo.description = repo.description;
+    if (repo.pushedAt) entry.repo.pushedAt = repo.pushedAt;
+    if (repo.stars !== undefined) entry.repo.stars = repo.stars;
+    if (repo.languages) entry.repo.languages = repo.languages;
+
+    return entry;
+}
+
+// `detectedBy` is the analyser-wide default; items may carry their own tag
+function collectTechnologies(node, detectedBy) {
+    if (!node || typeof node !== 'object') return [];
+
+    const toTech = item => toTechnology(item, detectedBy);
+
+    if (Array.isArray(node)) {
+        return node.map(toTech).filter(Boolean);
+    }
+
+    if (Array.isArray(node.flat)) return collectTechnologies(node.flat, detectedBy);
+    if (Array.isArray(node.nodes)) return collectTechnologies(node.nodes, detectedBy);
+
+    // Nested stack-analyser payload: techs on every component plus its children
+    const own = [node.tech, ...(node.techs || [])].map(toTech).filter(Boolean);
+    const children = (node.childs || []).flatMap(child => collectTechnologies(child, detectedBy));
+
+    return [...own, ...children];
+}
+
+function toTechnology(item, detectedBy) {
+    if (!item) return null;
+
+    const tech = typeof item === 'string'
+        ? { id: item, name: item, category: null }
+        : toNamedTechnology(item);
+
+    if (tech && (item.detectedBy || detectedBy)) {
+        tech.detectedBy = item.detectedBy || detectedBy;
+    }
+
+    return tech;
+}
+
+function toNamedTechnology(item) {
+    const name = item.name || item.id || item.slug;
+    if (!name) return null;
+
+    return {
+        id: item.id || item.slug || name,
+        name,
+        category: item.category || item.type || null
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * History - Dated snapshots of stacks.json in a JSONL file and diffs between them
+ * One line per run: { generatedAt, technologies: [{ name, category, repoCount, repos }] }
+ */
+
+import { appendFile, readFile } from 'node:fs/promises';
+import { countTechnologies } from './aggregate.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createSnapshot(stacks) {
+    return {
+        generatedAt: stacks.generatedAt,
+        technologies: countTechnologies(stacks)
+            .map(({ name, category, repoCount, repos }) => ({ name, category, repoCount, repos }))
+            .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name))
+    };
+}
+
+export async function readHistory(historyPath) {
+    let raw;
+    try {
+        raw = await readFile(historyPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return raw
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+}
+
+export async function appendSnapshot(historyPath, snapshot) {
+    await appendFile(historyPath, `${JSON.stringify(snapshot)}\n`);
+}
+
+/**
+ * Picks the snapshot to compare against: the latest one before `generatedAt`,
+ * or with `sinceDays` the latest one at least that many days older.
+ */
+export function findBaseline(history, generatedAt, sinceDays) {
+    const cutoff = new Date(generatedAt).getTime() - (sinceDays ? sinceDays * DAY_MS : 0);
+    const candidates = history.filter(snapshot =>
+        sinceDays
+            ? new Date(snapshot.generatedAt).getTime() <= cutoff
+            : snapshot.generatedAt < generatedAt
+    );
+
+    // Nothing old enough yet: fall back to the oldest snapshot
+    if (candidates.length === 0 && sinceDays) {
+        return history.find(snapshot => snapshot.generatedAt < generatedAt) || null;
+    }
+
+    return candidates[candidates.length - 1] || null;
+}
+
+export function diffSnapshots(previous, current) {
+    const key = tech => `${tech.category}|${tech.name}`;
+    const before = new Map((previous ? previous.technologies : []).map(tech => [key(tech), tech]));
+    const after = new Map(current.technologies.map(tech => [key(tech), tech]));
+
+    const added = [...after.values()].filter(tech => !before.has(key(tech)));
+    const removed = [...before.values()].filter(tech => !after.has(key(tech)));
+
+    const categoryCounts = new Map();
+    const countInto = (technologies, field) => {
+        technologies.forEach(tech => {
+            if (!categoryCounts.has(tech.category)) {
+                categoryCounts.set(tech.category, { category: tech.category, before: 0, after: 0 });
+            }
+            categoryCounts.get(tech.category)[field]++;
+        });
+    };
+    countInto([...before.values()], 'before');
+    countInto([...after.values()], 'after');
+
+    const categories = [...categoryCounts.values()]
+        .map(entry => ({ ...entry, delta: entry.after - entry.before }))
+        .sort((a, b) => b.delta - a.delta || a.category.localeCompare(b.category));
+
+    return {
+        since: previous ? previous.generatedAt : null,
+        added,
+        removed,
+        categories
+    };
+}
+
+export function formatDiff(diff) {
+    if (!diff.since) return 'No previous snapshot to compare against.';
+
+    const lines = [`Changes since ${diff.since}:`];
+    lines.push(`  Added: ${diff.added.map(tech => tech.name).join(', ') || 'none'}`);
+    lines.push(`  Removed: ${diff.removed.map(tech => tech.name).join(', ') || 'none'}`);
+
+    diff.categories
+        .filter(entry => entry.delta !== 0)
+        .forEach(entry => {
+            lines.push(`  ${entry.category}: ${entry.before} -> ${entry.after} (${entry.delta > 0 ? '+' : ''}${entry.delta})`);
+        });
+
+    return lines.join('\n');
+}
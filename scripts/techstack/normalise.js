@@ -0,0 +1,160 @@
+/**
+ * Normalise - Canonical technology names and categories before anything is counted
+ *
+ * Overrides file (techstack.overrides.json):
+ * {
+ *   "aliases": { "nodejs": "Node.js", "pg": "PostgreSQL" },   rename or merge (matched on name or id)
+ *   "categories": { "Docker": "infrastructure" },             recategorise (by canonical name)
+ *   "hide": ["dotenv", "GitHub Actions"]                      drop entirely
+ * }
+ */
+
+import { readFile } from 'node:fs/promises';
+
+// Keys are compared via aliasKey(), so "Node.js", "node-js" and "nodejs" all match "nodejs"
+const BUILTIN_ALIASES = {
+    node: 'Node.js',
+    nodejs: 'Node.js',
+    js: 'JavaScript',
+    javascript: 'JavaScript',
+    ts: 'TypeScript',
+    typescript: 'TypeScript',
+    py: 'Python',
+    python: 'Python',
+    python3: 'Python',
+    golang: 'Go',
+    go: 'Go',
+    rust: 'Rust',
+    postgres: 'PostgreSQL',
+    postgresql: 'PostgreSQL',
+    pg: 'PostgreSQL',
+    mysql: 'MySQL',
+    mongo: 'MongoDB',
+    mongodb: 'MongoDB',
+    redis: 'Redis',
+    sqlite: 'SQLite',
+    sqlite3: 'SQLite',
+    react: 'React',
+    reactjs: 'React',
+    vue: 'Vue.js',
+    vuejs: 'Vue.js',
+    next: 'Next.js',
+    nextjs: 'Next.js',
+    express: 'Express',
+    expressjs: 'Express',
+    three: 'Three.js',
+    threejs: 'Three.js',
+    tailwind: 'Tailwind CSS',
+    tailwindcss: 'Tailwind CSS',
+    docker: 'Docker',
+    dockercompose: 'Docker Compose',
+    k8s: 'Kubernetes',
+    kubernetes: 'Kubernetes',
+    terraform: 'Terraform',
+    aws: 'AWS',
+    amazonwebservices: 'AWS',
+    gcp: 'Google Cloud',
+    googlecloud: 'Google Cloud',
+    githubactions: 'GitHub Actions',
+    gha: 'GitHub Actions'
+};
+
+export function aliasKey(value) {
+    return String(value).toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+function slugify(name) {
+    return aliasKey(name).replace(/[^a-z0-9+#]/g, '');
+}
+
+export async function loadOverrides(overridesPath) {
+    try {
+        return JSON.parse(await readFile(overridesPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+export function createNormaliser(overrides = {}) {
+    const aliases = new Map();
+    Object.entries(BUILTIN_ALIASES).forEach(([alias, name]) => aliases.set(aliasKey(alias), name));
+    Object.entries(overrides.aliases || {}).forEach(([alias, name]) => aliases.set(aliasKey(alias), name));
+
+    const categories = new Map(
+        Object.entries(overrides.categories || {}).map(([name, category]) => [aliasKey(name), category])
+    );
+    const hidden = new Set((overrides.hide || []).map(aliasKey));
+
+    const canonicalName = tech =>
+        aliases.get(aliasKey(tech.name)) ||
+        (tech.id && aliases.get(aliasKey(tech.id))) ||
+        tech.name;
+
+    return {
+        // Returns the canonical technology, or null when it is hidden
+        normalise(tech) {
+            const name = canonicalName(tech);
+            if (hidden.has(aliasKey(name)) || hidden.has(aliasKey(tech.name))) return null;
+
+            return {
+                ...tech,
+                id: name === tech.name ? tech.id : slugify(name),
+                name,
+                category: categories.get(aliasKey(name)) || tech.category
+            };
+        },
+
+        hasCategoryOverride(name) {
+            return categories.has(aliasKey(name));
+        }
+    };
+}
+
+/**
+ * Applies the normaliser to every repo. Merged technologies are de-duplicated per repo,
+ * and a technology reported under several categories settles on its most common one.
+ */
+export function normaliseStacks(stacks, overrides = {}) {
+    const normaliser = createNormaliser(overrides || {});
+
+    const repos = stacks.repos.map(entry => {
+        const technologies = new Map();
+
+        entry.technologies.forEach(tech => {
+            const normalised = normaliser.normalise(tech);
+            if (normalised && !technologies.has(normalised.name)) {
+                technologies.set(normalised.name, normalised);
+            }
+        });
+
+        return { ...entry, technologies: [...technologies.values()] };
+    });
+
+    const votes = new Map();
+    repos.forEach(({ technologies }) => {
+        technologies.forEach(tech => {
+            if (!tech.category) return;
+            if (!votes.has(tech.name)) votes.set(tech.name, new Map());
+            const byCategory = votes.get(tech.name);
+            byCategory.set(tech.category, (byCategory.get(tech.category) || 0) + 1);
+        });
+    });
+
+    const settledCategory = name => {
+        const byCategory = votes.get(name);
+        if (!byCategory) return null;
+        return [...byCategory.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+    };
+
+    return {
+        ...stacks,
+        repos: repos.map(entry => ({
+            ...entry,
+            technologies: entry.technologies.map(tech => ({
+                ...tech,
+                category: normaliser.hasCategoryOverride(tech.name) ? tech.category : settledCategory(tech.name)
+            }))
+        }))
+    };
+}
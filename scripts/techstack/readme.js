@@ -0,0 +1,90 @@
+/**
+ * README - Finds the marker block and rewrites it with the selected renderer
+ * The START marker may carry attributes, e.g. <!-- TECHSTACK:START style=badges limit=20 -->
+ */
+
+import { getRenderer } from './renderers.js';
+import { splitSection } from './config.js';
+import { filterStacks } from './filters.js';
+
+const DEFAULT_STYLE = 'summary';
+
+export function findMarkerSection(readme, marker) {
+    const escaped = marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const startPattern = new RegExp(`<!--\\s*${escaped}:START((?:\\s+[^>]*?)?)\\s*-->`);
+    const endMark = `<!-- ${marker}:END -->`;
+
+    const match = startPattern.exec(readme);
+    const end = match ? readme.indexOf(endMark, match.index + match[0].length) : -1;
+
+    if (!match || end === -1) return null;
+
+    return {
+        contentStart: match.index + match[0].length,
+        contentEnd: end,
+        attributes: parseAttributes(match[1])
+    };
+}
+
+// key=value pairs; values may be double-quoted to include spaces
+export function parseAttributes(text = '') {
+    const attributes = {};
+    const pattern = /([\w-]+)=(?:"([^"]*)"|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+    }
+
+    return attributes;
+}
+
+export function renderSection(stacks, attributes = {}, context = {}) {
+    const { style = DEFAULT_STYLE, limit, ...rest } = attributes;
+    const options = { ...rest, limit: limit ? parseInt(limit, 10) : undefined };
+
+    return getRenderer(style)(stacks, options, context);
+}
+
+export function replaceMarkerSection(readme, marker, render) {
+    const section = findMarkerSection(readme, marker);
+    if (!section) {
+        throw new Error(`Markers <!-- ${marker}:START --> / <!-- ${marker}:END --> not found in README`);
+    }
+
+    const { contentStart, contentEnd, attributes } = section;
+
+    return readme.slice(0, contentStart) +
+        `\n\n${render(attributes)}\n\n` +
+        readme.slice(contentEnd);
+}
+
+/**
+ * Rewrites every configured section in one pass over the README text.
+ * Each section is filtered independently; START marker attributes override the config.
+ */
+export function rewriteSections(readme, sections, stacks, context = {}) {
+    let updated = readme;
+    let rewritten = 0;
+
+    sections.forEach(section => {
+        const { marker, filters, options } = splitSection(section);
+
+        if (!findMarkerSection(updated, marker)) {
+            console.warn(`Markers for ${marker} not found in README, skipping.`);
+            return;
+        }
+
+        const sectionStacks = filterStacks(stacks, filters);
+        updated = replaceMarkerSection(updated, marker, attributes =>
+            renderSection(sectionStacks, { ...options, ...attributes }, { ...context, filters }) || '_No matching technologies._'
+        );
+        rewritten++;
+    });
+
+    if (rewritten === 0) {
+        throw new Error(`None of the markers (${sections.map(section => section.marker).join(', ')}) were found in README`);
+    }
+
+    return updated;
+}
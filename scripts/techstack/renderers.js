@@ -0,0 +1,236 @@
+/**
+ * Renderers - Registry of output styles for the README marker section
+ * A renderer is (stacks, options, context) => markdown; options come from the START marker attributes
+ * and context carries run-wide data such as the snapshot history, plus the section's filters
+ */
+
+import { groupByCategory, rankTechnologies } from './aggregate.js';
+import { createSnapshot, diffSnapshots, findBaseline } from './history.js';
+import { filterSnapshot } from './filters.js';
+import { CARD_NAMES, cardFileName } from './svg.js';
+
+const renderers = new Map();
+
+export function registerRenderer(style, render) {
+    renderers.set(style, render);
+}
+
+export function getRenderer(style) {
+    const render = renderers.get(style);
+    if (!render) {
+        throw new Error(`Unknown README style "${style}" (available: ${[...renderers.keys()].join(', ')})`);
+    }
+    return render;
+}
+
+export function listRenderers() {
+    return [...renderers.keys()];
+}
+
+// Top `limit` technologies by score (repo count for unscored stacks), or all of them
+function limitedTechnologies(stacks, options) {
+    const ranked = rankTechnologies(stacks);
+    return options.limit ? ranked.slice(0, options.limit) : ranked;
+}
+
+function pluralRepos(count) {
+    return `${count} repo${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * summary - Category lists plus a per-repository table (the original output)
+ */
+function renderSummary(stacks, options) {
+    const lines = [
+        `### Tech Stack overview for \`${stacks.owner}\``,
+        '',
+        `Last updated: \`${stacks.generatedAt}\``,
+        '',
+        '#### Aggregated by category',
+        ''
+    ];
+
+    groupByCategory(limitedTechnologies(stacks, options)).forEach(({ category, technologies }) => {
+        lines.push(`#### ${category}`, '');
+        technologies.forEach(tech => {
+            lines.push(`- ${tech.name} (_${tech.repoCount} repos_)`);
+        });
+        lines.push('');
+    });
+
+    lines.push('#### Per-repository summary', '', renderRepoTable(stacks.repos));
+
+    return lines.join('\n');
+}
+
+function renderRepoTable(repos) {
+    const lines = [
+        '| Repository | Visible | Top technologies |',
+        '| ---------- | ------- | ---------------- |'
+    ];
+
+    repos.forEach(({ repo, technologies }) => {
+        const names = [...new Set(technologies.map(tech => tech.name))].sort().slice(0, 8);
+        const visibility = repo.private ? 'Private' : 'Public';
+        const link = repo.url ? `[${repo.name}](${repo.url})` : repo.name;
+        lines.push(`| ${link} | ${visibility} | ${names.join(', ') || 'None'} |`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * repos - Per-repository table, repos with the most technologies first
+ */
+function renderRepos(stacks, options) {
+    const repos = [...stacks.repos].sort((a, b) =>
+        b.technologies.length - a.technologies.length ||
+        a.repo.name.localeCompare(b.repo.name)
+    );
+
+    return renderRepoTable(options.limit ? repos.slice(0, options.limit) : repos);
+}
+
+/**
+ * badges - One row of shields.io badges per category
+ */
+function renderBadges(stacks, options) {
+    const color = options.color || '0a0a0a';
+
+    return groupByCategory(limitedTechnologies(stacks, options))
+        .map(({ category, technologies }) => {
+            const badges = technologies.map(tech => {
+                const url = `https://img.shields.io/badge/${shieldsEscape(tech.name)}-${tech.repoCount}-${color}` +
+                    `?style=${options.badgeStyle || 'flat'}&logo=${encodeURIComponent(logoSlug(tech))}&logoColor=white`;
+                return `![${tech.name}](${url})`;
+            });
+            return `**${category}**: ${badges.join(' ')}`;
+        })
+        .join('\n\n');
+}
+
+// shields.io static badges use "-" as separator: escape dashes and underscores
+function shieldsEscape(text) {
+    return encodeURIComponent(text.replace(/-/g, '--').replace(/_/g, '__'));
+}
+
+function logoSlug(tech) {
+    return String(tech.id || tech.name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * list - Compact comma-separated list, highest score first
+ */
+function renderList(stacks, options) {
+    return limitedTechnologies(stacks, options)
+        .map(tech => tech.name)
+        .join(options.separator || ', ');
+}
+
+/**
+ * details - A collapsible <details> block per category
+ */
+function renderDetails(stacks, options) {
+    return groupByCategory(limitedTechnologies(stacks, options))
+        .map(({ category, technologies }) => [
+            '<details>',
+            `<summary><b>${category}</b> (${technologies.length})</summary>`,
+            '',
+            ...technologies.map(tech => `- ${tech.name} (_${pluralRepos(tech.repoCount)}_)`),
+            '',
+            '</details>'
+        ].join('\n'))
+        .join('\n\n');
+}
+
+/**
+ * pie - Mermaid pie chart of each category's share of technology usage
+ */
+function renderPie(stacks, options) {
+    const shares = groupByCategory(rankTechnologies(stacks))
+        .map(({ category, technologies }) => ({
+            category,
+            total: technologies.reduce((sum, tech) => sum + tech.repoCount, 0)
+        }))
+        .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category));
+
+    const limited = options.limit ? shares.slice(0, options.limit) : shares;
+
+    return [
+        '```mermaid',
+        `pie title ${options.title || 'Technologies by category'}`,
+        ...limited.map(({ category, total }) => `    "${category.replace(/"/g, "'")}" : ${total}`),
+        '```'
+    ].join('\n');
+}
+
+/**
+ * changes - What changed since the previous run (or `since` days ago)
+ */
+function renderChanges(stacks, options, context = {}) {
+    const current = createSnapshot(stacks);
+    const sinceDays = options.since ? parseInt(options.since, 10) : undefined;
+    // `stacks` is already filtered for this section; the history is not
+    const baseline = filterSnapshot(findBaseline(context.history || [], current.generatedAt, sinceDays), context.filters);
+
+    if (!baseline) {
+        return '_No earlier snapshot to compare against yet._';
+    }
+
+    const diff = diffSnapshots(baseline, current);
+    const since = diff.since.slice(0, 10);
+    const lines = [];
+
+    if (diff.added.length > 0) {
+        lines.push(`**${options.title || `New since ${since}`}:** ${diff.added.map(tech => tech.name).join(', ')}`);
+    }
+    if (diff.removed.length > 0) {
+        lines.push(`**No longer used:** ${diff.removed.map(tech => tech.name).join(', ')}`);
+    }
+
+    const growth = diff.categories
+        .filter(entry => entry.delta !== 0)
+        .map(entry => `${entry.category} ${entry.delta > 0 ? '+' : ''}${entry.delta} (${entry.before} → ${entry.after})`);
+    if (growth.length > 0) {
+        lines.push(`**By category:** ${growth.join(', ')}`);
+    }
+
+    return lines.length > 0 ? lines.join('\n\n') : `_No stack changes since ${since}._`;
+}
+
+/**
+ * cards - <picture> elements for the generated SVG cards, switching on the reader's colour scheme
+ */
+function renderCards(stacks, options, context = {}) {
+    if (!context.cardsPath) {
+        throw new Error('style=cards needs SVG cards: set "cards" in techstack.config.json or pass --svg-dir');
+    }
+
+    const cards = options.cards ? String(options.cards).split(',').map(card => card.trim()) : CARD_NAMES;
+    const alt = { languages: 'Languages', categories: 'Stack by category', top: 'Top technologies' };
+
+    return cards
+        .map(card => {
+            if (!CARD_NAMES.includes(card)) {
+                throw new Error(`Unknown card "${card}" (available: ${CARD_NAMES.join(', ')})`);
+            }
+
+            const src = themeName => `${context.cardsPath}/${cardFileName(card, themeName)}`;
+            return [
+                '<picture>',
+                `  <source media="(prefers-color-scheme: dark)" srcset="${src('dark')}">`,
+                `  <img alt="${alt[card]}" src="${src('light')}">`,
+                '</picture>'
+            ].join('\n');
+        })
+        .join('\n');
+}
+
+registerRenderer('summary', renderSummary);
+registerRenderer('repos', renderRepos);
+registerRenderer('badges', renderBadges);
+registerRenderer('list', renderList);
+registerRenderer('details', renderDetails);
+registerRenderer('pie', renderPie);
+registerRenderer('changes', renderChanges);
+registerRenderer('cards', renderCards);
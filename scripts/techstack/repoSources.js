@@ -0,0 +1,166 @@
+/**
+ * Repo sources - List repositories and make their contents available locally
+ * Each source exposes listRepos(), headSha(repo) and checkout(repo, workDir)
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { access, readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const execFileAsync = promisify(execFile);
+
+const GH_FIELDS = [
+    'name', 'owner', 'description', 'sshUrl', 'isPrivate', 'isFork', 'isArchived', 'isTemplate',
+    'repositoryTopics', 'pushedAt', 'stargazerCount', 'languages'
+].join(',');
+
+/**
+ * Lists repos of one or more owners (users or organisations) with the GitHub CLI
+ * and shallow-clones them. `gh` paginates up to `limit` repos per owner.
+ * Selection (forks, archived, topics...) is applied later by selectRepos().
+ */
+export class GitHubRepoSource {
+    constructor({ owner, owners = [], limit = 1000 }) {
+        this.owner = owner;
+        this.owners = [owner, ...owners.filter(extra => extra !== owner)];
+        this.limit = limit;
+    }
+
+    async listRepos() {
+        const lists = [];
+
+        for (const owner of this.owners) {
+            const { stdout } = await execFileAsync('gh', [
+                'repo', 'list', owner,
+                '--json', GH_FIELDS,
+                '--limit', String(this.limit)
+            ], { maxBuffer: 64 * 1024 * 1024 });
+
+            lists.push(JSON.parse(stdout).map(repo => this.toRepo(owner, repo)));
+        }
+
+        return lists.flat();
+    }
+
+    toRepo(owner, repo) {
+        return {
+            // Repos of extra owners are prefixed so names stay unique
+            name: owner === this.owner ? repo.name : `${owner}/${repo.name}`,
+            owner,
+            fullName: `${owner}/${repo.name}`,
+            url: `https://github.com/${owner}/${repo.name}`,
+            description: repo.description || '',
+            private: repo.isPrivate,
+            fork: repo.isFork,
+            archived: repo.isArchived,
+            template: repo.isTemplate,
+            topics: (repo.repositoryTopics || []).map(topic => topic.name || topic),
+            pushedAt: repo.pushedAt,
+            stars: repo.stargazerCount,
+            languages: Object.fromEntries(
+                (repo.languages || []).map(language => [language.node.name, language.size])
+            ),
+            cloneUrls: [
+                repo.sshUrl,
+                `https://github.com/${owner}/${repo.name}.git`
+            ]
+        };
+    }
+
+    // Latest commit on the default branch, without cloning
+    async headSha(repo) {
+        const { stdout } = await execFileAsync('gh', [
+            'api', `repos/${repo.fullName}/commits/HEAD`, '--jq', '.sha'
+        ]);
+        return stdout.trim() || null;
+    }
+
+    async checkout(repo, workDir) {
+        const repoDir = path.join(workDir, repo.name.replace(/\//g, '__'));
+
+        // gh uses GITHUB_TOKEN, so it can reach private repos; then SSH, then anonymous HTTPS
+        try {
+            await execFileAsync('gh', ['repo', 'clone', repo.fullName, repoDir, '--', '--depth=1']);
+            return repoDir;
+        } catch (error) {
+            // fall through to plain git
+        }
+
+        for (const cloneUrl of repo.cloneUrls) {
+            try {
+                await execFileAsync('git', ['clone', '--depth=1', cloneUrl, repoDir]);
+                return repoDir;
+            } catch (error) {
+                // try the next URL
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Treats every sub-directory of a local folder as a repo (offline runs and fixtures)
+ */
+export class LocalRepoSource {
+    constructor({ owner = 'local', reposDir }) {
+        this.owner = owner;
+        this.reposDir = path.resolve(reposDir);
+    }
+
+    async listRepos() {
+        const entries = await readdir(this.reposDir, { withFileTypes: true });
+        const names = entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .map(entry => entry.name)
+            .sort();
+
+        return Promise.all(names.map(async name => {
+            const dir = path.join(this.reposDir, name);
+
+            // Optional repo.json carries the metadata GitHub would report
+            const metadata = await readMetadata(path.join(dir, 'repo.json'));
+
+            return {
+                url: `https://github.com/${this.owner}/${name}`,
+                private: false,
+                ...metadata,
+                name,
+                dir
+            };
+        }));
+    }
+
+    // "sha" from repo.json, else the directory's own git HEAD; null disables caching
+    async headSha(repo) {
+        if (repo.sha) return repo.sha;
+
+        // A plain folder inside another checkout would report that checkout's HEAD
+        try {
+            await access(path.join(repo.dir, '.git'));
+        } catch (error) {
+            return null;
+        }
+
+        try {
+            const { stdout } = await execFileAsync('git', ['-C', repo.dir, 'rev-parse', 'HEAD']);
+            return stdout.trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async checkout(repo) {
+        return repo.dir;
+    }
+}
+
+async function readMetadata(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
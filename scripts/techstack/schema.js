@@ -0,0 +1,102 @@
+/**
+ * Schema - Validates stacks.json against schemas/stacks.v1.schema.json before it is written
+ * Supports the JSON Schema keywords that schema uses, so the sync needs no extra dependency
+ */
+
+import { readFile } from 'node:fs/promises';
+
+export const SCHEMA_VERSION = 1;
+
+const SCHEMA_URL = new URL(`../../schemas/stacks.v${SCHEMA_VERSION}.schema.json`, import.meta.url);
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+let schemaPromise = null;
+
+export function loadSchema() {
+    if (!schemaPromise) {
+        schemaPromise = readFile(SCHEMA_URL, 'utf8').then(JSON.parse);
+    }
+    return schemaPromise;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+    return ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((node, key) => node[key], root);
+}
+
+function check(root, schema, value, pointer, errors) {
+    if (schema.$ref) {
+        check(root, resolveRef(root, schema.$ref), value, pointer, errors);
+        return;
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${pointer}: must be ${JSON.stringify(schema.const)}`);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${pointer}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.format === 'date-time' && typeof value === 'string' && !DATE_TIME.test(value)) {
+        errors.push(`${pointer}: must be an ISO 8601 date-time`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${pointer}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${pointer}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => check(root, schema.items, item, `${pointer}/${index}`, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${pointer}: missing "${key}"`);
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            if (properties[key]) {
+                check(root, properties[key], child, `${pointer}/${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${pointer}: unexpected property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(root, schema.additionalProperties, child, `${pointer}/${key}`, errors);
+            }
+        });
+    }
+}
+
+// Returns a list of "pointer: message" strings; empty when valid
+export async function validateStacks(stacks) {
+    const schema = await loadSchema();
+    const errors = [];
+    check(schema, schema, stacks, '#', errors);
+    return errors;
+}
@@ -0,0 +1,104 @@
+/**
+ * Scoring - Ranks technologies by a weighted mix of usage signals
+ *
+ * Components per technology (each scaled to 0..1 against the highest value):
+ *   repos    - number of repos using it
+ *   bytes    - bytes of code in the matching GitHub language, summed over those repos
+ *   recency  - sum of 0.5^(days since last push / halfLifeDays) over those repos
+ *   stars    - stars summed over those repos
+ *
+ * Configured through "scoring" in techstack.config.json:
+ *   { "weights": { "repos": 1, "bytes": 1, "recency": 1, "stars": 0.5 }, "halfLifeDays": 365 }
+ */
+
+import { aliasKey } from './normalise.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SCORING = {
+    weights: { repos: 1, bytes: 1, recency: 1, stars: 0.5 },
+    halfLifeDays: 365
+};
+
+function recencyOf(repo, now, halfLifeDays) {
+    if (!repo.pushedAt) return 1;
+
+    const ageDays = Math.max(0, (now - new Date(repo.pushedAt).getTime()) / DAY_MS);
+    return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+function languageBytes(repo, techName) {
+    if (!repo.languages) return 0;
+
+    const key = aliasKey(techName);
+    const match = Object.entries(repo.languages).find(([language]) => aliasKey(language) === key);
+    return match ? match[1] : 0;
+}
+
+/**
+ * Adds `technologies` (sorted by score) and the `scoring` settings used to stacks.
+ */
+export function scoreStacks(stacks, scoring = {}) {
+    const settings = {
+        weights: { ...DEFAULT_SCORING.weights, ...((scoring && scoring.weights) || {}) },
+        halfLifeDays: (scoring && scoring.halfLifeDays) || DEFAULT_SCORING.halfLifeDays
+    };
+    const now = new Date(stacks.generatedAt).getTime();
+    const technologies = new Map();
+
+    stacks.repos.forEach(({ repo, technologies: repoTechnologies }) => {
+        const recency = recencyOf(repo, now, settings.halfLifeDays);
+
+        repoTechnologies.forEach(tech => {
+            const category = tech.category || 'other';
+            const key = `${category}|${tech.name}`;
+
+            if (!technologies.has(key)) {
+                technologies.set(key, {
+                    id: tech.id,
+                    name: tech.name,
+                    category,
+                    components: { repos: 0, bytes: 0, recency: 0, stars: 0 }
+                });
+            }
+
+            const { components } = technologies.get(key);
+            components.repos++;
+            components.bytes += languageBytes(repo, tech.name);
+            components.recency += recency;
+            components.stars += repo.stars || 0;
+        });
+    });
+
+    const entries = [...technologies.values()];
+    const componentNames = Object.keys(settings.weights);
+    const maxima = Object.fromEntries(componentNames.map(name => [
+        name,
+        Math.max(0, ...entries.map(entry => entry.components[name] || 0))
+    ]));
+
+    // Signals nobody has (e.g. no language bytes offline) don't drag every score down
+    const totalWeight = componentNames
+        .filter(name => maxima[name] > 0)
+        .reduce((sum, name) => sum + settings.weights[name], 0) || 1;
+
+    entries.forEach(entry => {
+        const weighted = componentNames.reduce((sum, name) => {
+            const scaled = maxima[name] > 0 ? (entry.components[name] || 0) / maxima[name] : 0;
+            return sum + scaled * settings.weights[name];
+        }, 0);
+
+        entry.score = Math.round((weighted / totalWeight) * 1000) / 10;
+        entry.components.recency = Math.round(entry.components.recency * 1000) / 1000;
+    });
+
+    return {
+        ...stacks,
+        scoring: settings,
+        technologies: entries.sort((a, b) =>
+            b.score - a.score ||
+            b.components.repos - a.components.repos ||
+            a.name.localeCompare(b.name)
+        )
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * SVG - Image cards rendered from stacks.json, each in a light and a dark variant
+ *   languages  - horizontal bar chart of language share (bytes of code, else score)
+ *   categories - donut of each category's share of technology usage
+ *   top        - the top N technologies by score
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { groupByCategory, rankTechnologies } from './aggregate.js';
+
+export const THEMES = {
+    dark: {
+        background: '#0d1117',
+        border: '#30363d',
+        text: '#e6edf3',
+        muted: '#8b949e',
+        track: '#21262d',
+        palette: ['#00ffff', '#ff00ff', '#00ff88', '#ffd166', '#4d8dff', '#ff6b6b', '#b388ff', '#8b949e']
+    },
+    light: {
+        background: '#ffffff',
+        border: '#d0d7de',
+        text: '#1f2328',
+        muted: '#656d76',
+        track: '#eaeef2',
+        palette: ['#0098a6', '#b3009f', '#00995c', '#c98a00', '#1f5fd1', '#d1383d', '#7c4dff', '#656d76']
+    }
+};
+
+export const CARD_NAMES = ['languages', 'categories', 'top'];
+
+const WIDTH = 420;
+const FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function frame(theme, height, title, body) {
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${escapeXml(title)}">`,
+        `<title>${escapeXml(title)}</title>`,
+        `<rect x="0.5" y="0.5" width="${WIDTH - 1}" height="${height - 1}" rx="6" fill="${theme.background}" stroke="${theme.border}"/>`,
+        `<g font-family="${FONT}">`,
+        `<text x="20" y="32" font-size="16" font-weight="600" fill="${theme.text}">${escapeXml(title)}</text>`,
+        ...body,
+        '</g>',
+        '</svg>'
+    ].join('\n');
+}
+
+function languageShares(stacks, limit) {
+    const languages = (stacks.technologies || []).filter(tech => tech.category === 'language');
+    const useBytes = languages.some(tech => tech.components && tech.components.bytes > 0);
+    const valueOf = tech => (useBytes ? tech.components.bytes : tech.score);
+
+    const ranked = languages
+        .map(tech => ({ name: tech.name, value: valueOf(tech) || 0 }))
+        .filter(entry => entry.value > 0)
+        .sort((a, b) => b.value - a.value);
+    const total = ranked.reduce((sum, entry) => sum + entry.value, 0) || 1;
+
+    return ranked.slice(0, limit).map(entry => ({ ...entry, share: entry.value / total }));
+}
+
+export function renderLanguageBars(stacks, theme, { limit = 8 } = {}) {
+    const shares = languageShares(stacks, limit);
+    const rowHeight = 28;
+    const height = 60 + Math.max(1, shares.length) * rowHeight;
+    const barX = 140;
+    const barWidth = WIDTH - barX - 70;
+
+    const rows = shares.map((entry, index) => {
+        const y = 56 + index * rowHeight;
+        const color = theme.palette[index % theme.palette.length];
+        const percent = (entry.share * 100).toFixed(1);
+
+        return [
+            `<text x="20" y="${y + 11}" font-size="12" fill="${theme.text}">${escapeXml(entry.name)}</text>`,
+            `<rect x="${barX}" y="${y}" width="${barWidth}" height="12" rx="6" fill="${theme.track}"/>`,
+            `<rect x="${barX}" y="${y}" width="${Math.max(2, barWidth * entry.share).toFixed(1)}" height="12" rx="6" fill="${color}"/>`,
+            `<text x="${WIDTH - 20}" y="${y + 11}" font-size="12" text-anchor="end" fill="${theme.muted}">${percent}%</text>`
+        ].join('\n');
+    });
+
+    if (rows.length === 0) {
+        rows.push(`<text x="20" y="68" font-size="12" fill="${theme.muted}">No languages detected</text>`);
+    }
+
+    return frame(theme, height, 'Languages', rows);
+}
+
+export function renderCategoryDonut(stacks, theme, { limit = 8 } = {}) {
+    const shares = groupByCategory(rankTechnologies(stacks))
+        .map(({ category, technologies }) => ({
+            category,
+            total: technologies.reduce((sum, tech) => sum + tech.repoCount, 0)
+        }))
+        .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category))
+        .slice(0, limit);
+    const total = shares.reduce((sum, entry) => sum + entry.total, 0) || 1;
+
+    const radius = 60;
+    const circumference = 2 * Math.PI * radius;
+    const cx = 100;
+    const cy = 120;
+    const height = Math.max(210, 70 + shares.length * 22);
+    let offset = 0;
+
+    const arcs = shares.map((entry, index) => {
+        const length = (entry.total / total) * circumference;
+        const arc = `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${theme.palette[index % theme.palette.length]}" ` +
+            `stroke-width="24" stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" ` +
+            `stroke-dashoffset="${(-offset).toFixed(2)}" transform="rotate(-90 ${cx} ${cy})"/>`;
+        offset += length;
+        return arc;
+    });
+
+    const legend = shares.map((entry, index) => {
+        const y = 62 + index * 22;
+        const percent = ((entry.total / total) * 100).toFixed(1);
+        return [
+            `<rect x="200" y="${y}" width="12" height="12" rx="2" fill="${theme.palette[index % theme.palette.length]}"/>`,
+            `<text x="220" y="${y + 10}" font-size="12" fill="${theme.text}">${escapeXml(entry.category)}</text>`,
+            `<text x="${WIDTH - 20}" y="${y + 10}" font-size="12" text-anchor="end" fill="${theme.muted}">${percent}%</text>`
+        ].join('\n');
+    });
+
+    return frame(theme, height, 'Stack by category', [
+        `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${theme.track}" stroke-width="24"/>`,
+        ...arcs,
+        ...legend
+    ]);
+}
+
+export function renderTopCard(stacks, theme, { limit = 8 } = {}) {
+    const top = rankTechnologies(stacks).slice(0, limit);
+    const maxScore = Math.max(0, ...top.map(tech => tech.score)) || 1;
+    const rowHeight = 26;
+    const height = 60 + Math.max(1, top.length) * rowHeight;
+
+    const rows = top.map((tech, index) => {
+        const y = 56 + index * rowHeight;
+        const barWidth = 120 * (tech.score / maxScore);
+
+        return [
+            `<text x="20" y="${y + 11}" font-size="12" fill="${theme.muted}">${index + 1}.</text>`,
+            `<text x="44" y="${y + 11}" font-size="12" fill="${theme.text}">${escapeXml(tech.name)}</text>`,
+            `<text x="190" y="${y + 11}" font-size="11" fill="${theme.muted}">${escapeXml(tech.category)}</text>`,
+            `<rect x="${WIDTH - 140}" y="${y + 1}" width="${Math.max(2, barWidth).toFixed(1)}" height="10" rx="5" fill="${theme.palette[index % theme.palette.length]}"/>`
+        ].join('\n');
+    });
+
+    return frame(theme, height, `Top ${top.length} technologies`, rows);
+}
+
+const CARD_RENDERERS = {
+    languages: renderLanguageBars,
+    categories: renderCategoryDonut,
+    top: renderTopCard
+};
+
+export function cardFileName(card, themeName) {
+    return `${card}-${themeName}.svg`;
+}
+
+// Writes every card in every theme to `dir`; returns the written paths
+export async function writeCards(stacks, dir, options = {}) {
+    await mkdir(dir, { recursive: true });
+
+    const written = [];
+    for (const card of CARD_NAMES) {
+        for (const [themeName, theme] of Object.entries(THEMES)) {
+            const file = path.join(dir, cardFileName(card, themeName));
+            await writeFile(file, `${CARD_RENDERERS[card](stacks, theme, options)}\n`);
+            written.push(file);
+        }
+    }
+
+    return written;
+}
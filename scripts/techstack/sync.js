@@ -0,0 +1,249 @@
+/**
+ * Sync - Lists repos, analyses them and writes stacks.json plus the README section
+ * Repo source and analyser are injected so the whole run can work offline.
+ * Repos whose HEAD SHA matches the cache are not cloned or analysed again.
+ */
+
+import { access, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { flattenStack } from './flatten.js';
+import { rewriteSections } from './readme.js';
+import { normaliseStacks } from './normalise.js';
+import { scoreStacks } from './scoring.js';
+import { redactPrivateRepos, selectRepos } from './filters.js';
+import { AnalysisCache } from './cache.js';
+import { readmeChanged, stacksChanged, summariseStacksChange, unifiedDiff } from './diff.js';
+import { CARD_NAMES, THEMES as CARD_THEMES, cardFileName, writeCards } from './svg.js';
+import { SCHEMA_VERSION, validateStacks } from './schema.js';
+import { toCsv, toJsonFeed, toProjects } from './exports.js';
+import { appendSnapshot, createSnapshot, diffSnapshots, findBaseline, formatDiff, readHistory } from './history.js';
+
+// Runs `task` over `items` with at most `limit` in flight; results keep input order
+export async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+}
+
+async function analyseRepo({ repo, label, source, analyser, cache, workDir }) {
+    let sha = null;
+    try {
+        sha = source.headSha ? await source.headSha(repo) : null;
+    } catch (error) {
+        // No SHA (empty repo, API error): analyse without caching
+    }
+
+    const cached = cache.lookup(repo.url, sha);
+    if (cached) {
+        console.log(`${label} unchanged at ${sha.slice(0, 7)}, using cached result.`);
+        return flattenStack(repo, cached);
+    }
+
+    console.log(`Analyzing ${label}...`);
+
+    const repoDir = await source.checkout(repo, workDir);
+    if (!repoDir) {
+        console.log(`Could not check out ${label}, skipping.`);
+        return null;
+    }
+
+    try {
+        let rawStack;
+        try {
+            rawStack = await analyser.analyse(repoDir);
+        } catch (error) {
+            console.log(`Analyser failed for ${label}, skipping.`);
+            return null;
+        }
+
+        if (!rawStack) {
+            console.log(`No stack output for ${label}, skipping.`);
+            return null;
+        }
+
+        const entry = flattenStack(repo, rawStack);
+        cache.store(repo.url, sha, entry.technologies);
+        return entry;
+    } finally {
+        // Only remove our own clones, never a local source's directory
+        if (repoDir.startsWith(workDir)) {
+            await rm(repoDir, { recursive: true, force: true });
+        }
+    }
+}
+
+export async function collectStacks({
+    owner, source, analyser, selection = {}, cachePath, saveCache = true, concurrency = 4, now = new Date()
+}) {
+    const workDir = await mkdtemp(path.join(tmpdir(), 'techstack-'));
+    const redact = Boolean(selection.redactPrivate);
+    const cache = await AnalysisCache.load(cachePath);
+    let repos;
+
+    try {
+        console.log(`Listing repos for ${owner}...`);
+        const listed = await source.listRepos();
+        const list = selectRepos(listed, selection);
+        console.log(`Selected ${list.length} of ${listed.length} repos.`);
+
+        const results = await mapWithConcurrency(list, concurrency, repo => analyseRepo({
+            repo,
+            // Keep private names out of public workflow logs too
+            label: redact && repo.private ? 'a private repo' : repo.name,
+            source,
+            analyser,
+            cache,
+            workDir
+        }));
+
+        repos = results.filter(Boolean);
+        if (saveCache) {
+            await cache.save();
+        }
+    } finally {
+        await rm(workDir, { recursive: true, force: true });
+    }
+
+    const stacks = {
+        schemaVersion: SCHEMA_VERSION,
+        owner,
+        generatedAt: now.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        repos
+    };
+
+    return redact ? redactPrivateRepos(stacks) : stacks;
+}
+
+async function readStacks(stacksPath) {
+    try {
+        return JSON.parse(await readFile(stacksPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Returns { stacks, changed }. `changed` is false when the README would only differ
+ * in its "Last updated" line and stacks.json only in timestamps or score drift; in
+ * that case only missing cards and exports are written, so the workflow usually has
+ * nothing to commit.
+ * With `dryRun`, prints a unified diff and a stacks.json summary instead of writing.
+ */
+export async function runSync({
+    owner, source, analyser, selection, cachePath, concurrency,
+    readmePath, stacksPath, historyPath, sections, overrides, scoring, cards, exports = {}, dryRun = false, now
+}) {
+    const collected = await collectStacks({
+        owner, source, analyser, selection, cachePath, saveCache: !dryRun, concurrency, now
+    });
+    const stacks = scoreStacks(normaliseStacks(collected, overrides), scoring);
+
+    if (stacks.repos.length === 0) {
+        console.log('No stacks collected; aborting update.');
+        return { stacks: null, changed: false };
+    }
+
+    const history = historyPath ? await readHistory(historyPath) : [];
+    const snapshot = createSnapshot(stacks);
+    console.log(formatDiff(diffSnapshots(findBaseline(history, snapshot.generatedAt), snapshot)));
+
+    const previousStacks = await readStacks(stacksPath);
+    const readme = await readFile(readmePath, 'utf8');
+    // README links to the cards relative to its own directory
+    const cardsPath = cards && path.relative(path.dirname(path.resolve(readmePath)), path.resolve(cards.dir))
+        .split(path.sep)
+        .join('/');
+    const updatedReadme = rewriteSections(readme, sections, stacks, { history, cardsPath });
+    const changed = readmeChanged(readme, updatedReadme) || stacksChanged(previousStacks, stacks);
+
+    if (dryRun) {
+        const patch = unifiedDiff(readme, updatedReadme, { fromFile: `a/${readmePath}`, toFile: `b/${readmePath}` });
+        console.log(patch || `${readmePath}: no changes.`);
+        console.log(summariseStacksChange(previousStacks, stacks));
+        console.log(changed ? 'Dry run: changes pending.' : 'Dry run: nothing to update besides timestamps.');
+        return { stacks, changed };
+    }
+
+    if (!changed) {
+        console.log('Only timestamps changed; leaving README, stacks.json and history untouched.');
+        // Cards and exports switched on since the last change still get created
+        await writeOutputs(stacks, { cards, exports, feedHistory: history }, { onlyMissing: true });
+        return { stacks, changed };
+    }
+
+    const errors = await validateStacks(stacks);
+    if (errors.length > 0) {
+        throw new Error(`stacks.json does not match schema v${SCHEMA_VERSION}:\n  ${errors.slice(0, 10).join('\n  ')}`);
+    }
+
+    await writeFile(stacksPath, `${JSON.stringify(stacks, null, 2)}\n`);
+    console.log(`Stacks aggregated into ${stacksPath}.`);
+
+    await writeFile(readmePath, updatedReadme);
+    console.log(`Updated ${readmePath}.`);
+
+    if (historyPath) {
+        await appendSnapshot(historyPath, snapshot);
+        console.log(`Snapshot appended to ${historyPath}.`);
+    }
+
+    await writeOutputs(stacks, { cards, exports, feedHistory: [...history, snapshot] });
+
+    return { stacks, changed };
+}
+
+async function exists(file) {
+    try {
+        await access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// SVG cards and export files; with `onlyMissing`, just the ones that don't exist yet
+async function writeOutputs(stacks, { cards, exports, feedHistory }, { onlyMissing = false } = {}) {
+    const needed = async (...files) => !onlyMissing || (await Promise.all(files.map(exists))).includes(false);
+
+    if (cards) {
+        const cardFiles = CARD_NAMES.flatMap(card =>
+            Object.keys(CARD_THEMES).map(themeName => path.join(cards.dir, cardFileName(card, themeName)))
+        );
+        if (await needed(...cardFiles)) {
+            const written = await writeCards(stacks, cards.dir, cards);
+            console.log(`Wrote ${written.length} SVG cards to ${cards.dir}.`);
+        }
+    }
+
+    if (exports.csv && await needed(exports.csv)) {
+        await writeFile(exports.csv, toCsv(stacks));
+        console.log(`Wrote ${exports.csv}.`);
+    }
+
+    if (exports.feed && await needed(exports.feed)) {
+        const feed = toJsonFeed(feedHistory, {
+            owner: stacks.owner,
+            homePageUrl: exports.homePageUrl || `https://github.com/${stacks.owner}`,
+            feedUrl: exports.feedUrl
+        });
+        await writeFile(exports.feed, `${JSON.stringify(feed, null, 2)}\n`);
+        console.log(`Wrote ${exports.feed}.`);
+    }
+
+    if (exports.projects && await needed(exports.projects)) {
+        const projects = toProjects(stacks);
+        await writeFile(exports.projects, `${JSON.stringify(projects, null, 2)}\n`);
+        console.log(`Wrote ${exports.projects}.`);
+    }
+}
@@ -0,0 +1,764 @@
+/**
+ * Portfolio3D - The 3D portfolio as an embeddable component
+ * Renders into a container element and sizes itself to it. Sections, theme, quality,
+ * data sources, page elements and callbacks come from the options (see DEFAULT_OPTIONS).
+ * Following Three.js best practices for performance and organization
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import gsap from 'gsap';
+import { SceneManager } from './scripts/SceneManager.js';
+import { CameraController } from './scripts/CameraController.js';
+import { PortfolioObjects } from './scripts/PortfolioObjects.js';
+import { InteractionManager } from './scripts/InteractionManager.js';
+import { InputController } from './scripts/InputController.js';
+import { QualityManager } from './scripts/QualityManager.js';
+import { ThemeManager } from './scripts/ThemeManager.js';
+import { GestureController } from './scripts/GestureController.js';
+import { SectionRegistry } from './scripts/SectionRegistry.js';
+import { PerformanceMonitor } from './utils/PerformanceMonitor.js';
+import { StackDataLoader } from './utils/StackDataLoader.js';
+import { ProjectDataLoader } from './utils/ProjectDataLoader.js';
+import { Capabilities } from './utils/Capabilities.js';
+import { FrameScheduler } from './utils/FrameScheduler.js';
+import { SceneLoader } from './utils/SceneLoader.js';
+import { sections } from './config/sections.js';
+import sceneDescription from './config/scene.json';
+
+export const DEFAULT_OPTIONS = {
+    sections,                   // section definitions, see src/config/sections.js
+    theme: null,                // preset name or theme object (src/config/themes.js); null keeps the visitor's saved choice
+    quality: null,              // 'auto', 'low', 'medium' or 'high'; null keeps the visitor's saved choice
+    data: {
+        stacks: './stacks.json',        // URL or parsed stacks.json
+        projects: './projects.json',    // URL, parsed projects.json or array; null derives them from stacks
+        scene: sceneDescription         // URL or parsed scene description, see src/config/scene.json
+    },
+
+    // Page elements the component fills or drives; all optional
+    root: null,                 // receives keyboard, wheel and touch input, theme variables and state classes (default: the container)
+    nav: null,                  // <ul> for the section links
+    content: null,              // container for the section overlays
+    loadingScreen: null,        // faded out once the scene is ready
+    announcer: null,            // aria-live region for section changes
+    qualitySelect: null,        // <select> bound to the quality presets
+    themeSelect: null,          // <select> bound to the theme presets
+
+    history: false,             // mirror the section in location.hash and follow back/forward
+    showStats: false,           // performance overlay
+
+    // Callbacks
+    onReady: () => {},                  // (portfolio)
+    onSectionChange: () => {},          // (index, section)
+    onObjectClick: () => {},            // ({ object, project }); return false to keep a card's link closed
+    onError: () => {}                   // (error), before the static fallback is shown
+};
+
+export class Portfolio3D {
+    constructor(container, options = {}) {
+        if (!(container instanceof HTMLElement)) {
+            throw new Error('Portfolio3D needs a container element');
+        }
+
+        this.container = container;
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            data: { ...DEFAULT_OPTIONS.data, ...options.data }
+        };
+        this.root = this.options.root || container;
+        // A root that is just the container needs focus to receive keys
+        this.addedTabIndex = this.root === container && !container.hasAttribute('tabindex');
+        if (this.addedTabIndex) container.tabIndex = 0;
+
+        // Core Three.js components
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.composer = null;
+
+        // Managers
+        this.sceneManager = null;
+        this.cameraController = null;
+        this.portfolioObjects = null;
+        this.interactionManager = null;
+        this.inputController = null;
+        this.gestureController = null;
+        this.performanceMonitor = null;
+        this.qualityManager = null;
+        this.themeManager = null;
+        this.frameScheduler = null;
+
+        // Sections, in navigation order; filled once the scene description has loaded
+        this.sections = new SectionRegistry([]);
+
+        // Data
+        this.sceneLoader = new SceneLoader(this.options.data.scene, sceneDescription);
+        this.stackDataLoader = new StackDataLoader(this.options.data.stacks);
+        this.stackData = null;
+        this.projectDataLoader = new ProjectDataLoader(this.options.data.projects);
+        this.projects = [];
+
+        // State
+        this.isInitialized = false;
+        this.isFallback = false;
+        this.reducedMotion = false;
+        this.unsubscribeReducedMotion = null;
+        this.isDisposed = false;
+        this.abortController = null;
+        this.resizeObserver = null;
+        this.scrollTimeout = null;
+        this.currentSection = 0;
+        this.clock = new THREE.Clock();
+
+        // Bind methods
+        this.animate = this.animate.bind(this);
+        this.onResize = this.onResize.bind(this);
+        this.onPopState = this.onPopState.bind(this);
+        this.onVisibilityChange = this.onVisibilityChange.bind(this);
+
+        // Anything that fails while mounting ends in the static layout
+        this.init().catch(error => {
+            if (this.isDisposed) return;
+
+            console.error('Error initializing Portfolio 3D:', error);
+            this.options.onError(error);
+            this.enableFallback();
+        });
+    }
+
+    async init() {
+        // Theme colours reach the page (loading screen included) before anything loads
+        this.themeManager = new ThemeManager(this.root, { theme: this.options.theme });
+        this.themeManager.init();
+        if (this.options.themeSelect) {
+            this.themeManager.bindControl(this.options.themeSelect);
+        }
+
+        // Data and overlays first so the page is readable with or without WebGL
+        // Load tech stack data shared by the Skills scene and DOM
+        this.stackData = await this.stackDataLoader.load();
+
+        // Projects come from projects.json, else from the repos in stacks.json
+        this.projects = await this.projectDataLoader.load(this.stackDataLoader.raw);
+
+        // Camera poses and 3D objects per section
+        await this.sceneLoader.load();
+
+        // Unmounted while the data was loading
+        if (this.isDisposed) return;
+
+        // Sections' own camera poses win over the scene description's
+        this.sections = new SectionRegistry(this.options.sections.map(section => ({
+            camera: this.sceneLoader.cameraPose(section.id),
+            ...section
+        })));
+
+        // Build nav and overlays from the section registry
+        const data = { stackData: this.stackData, projects: this.projects };
+        this.currentSection = this.options.history ? Math.max(0, this.sectionIndexFromHash()) : 0;
+        this.renderSections(data);
+
+        if (!Capabilities.hasWebGL()) {
+            console.warn('WebGL is not available, showing the static layout');
+            this.enableFallback();
+            return;
+        }
+
+        // Initialize scene
+        this.setupScene();
+        this.setupCamera();
+        this.setupRenderer();
+        this.setupLights();
+        this.setupPostProcessing();
+
+        // Initialize managers
+        this.sceneManager = new SceneManager(this.scene, this.themeManager.theme);
+        this.sceneManager.init();
+        this.cameraController = new CameraController(this.camera, this.sections, this.renderer.domElement);
+        this.cameraController.init();
+        this.portfolioObjects = new PortfolioObjects(
+            this.scene,
+            this.sections,
+            this.themeManager.theme,
+            this.sceneLoader
+        );
+        this.interactionManager = new InteractionManager(
+            this.camera,
+            this.renderer,
+            this.portfolioObjects,
+            {
+                onObjectClick: this.options.onObjectClick,
+                overlay: this.options.content,
+                container: this.container
+            }
+        );
+        this.interactionManager.init();
+        this.inputController = new InputController(
+            this.interactionManager,
+            this.portfolioObjects,
+            {
+                onNavigate: sectionIndex => this.navigateToSection(sectionIndex),
+                target: this.root
+            }
+        );
+        this.inputController.init();
+        this.gestureController = new GestureController(
+            this.root,
+            this.interactionManager,
+            this.cameraController,
+            this.portfolioObjects,
+            { onNavigate: sectionIndex => this.navigateToSection(sectionIndex) }
+        );
+        this.gestureController.init();
+
+        // Theme switches recolour the scene from here on
+        this.themeManager.attach({
+            scene: this.scene,
+            renderer: this.renderer,
+            bloomPass: this.bloomPass,
+            lights: this.lights,
+            targets: [this.sceneManager, this.portfolioObjects]
+        });
+
+        // Reduced motion follows the OS setting, also when it changes later
+        this.setReducedMotion(Capabilities.prefersReducedMotion());
+        this.unsubscribeReducedMotion = Capabilities.onReducedMotionChange(
+            reduced => this.setReducedMotion(reduced)
+        );
+
+        // Frame times drive the quality presets in every build; the overlay is dev only
+        this.performanceMonitor = new PerformanceMonitor({ display: this.options.showStats });
+        this.performanceMonitor.init();
+        this.qualityManager = new QualityManager({
+            renderer: this.renderer,
+            composer: this.composer,
+            bloomPass: this.bloomPass,
+            shadowLight: this.mainLight,
+            sceneManager: this.sceneManager
+        }, { mode: this.options.quality });
+        this.qualityManager.init();
+        // Only full-speed samples say anything about the device
+        this.performanceMonitor.onSample(sample => {
+            if (this.frameScheduler.mode === 'active') {
+                this.qualityManager.sample(sample);
+            }
+        });
+
+        // Full frame rate after input and while tweens or ripples run, ambient rate otherwise
+        this.frameScheduler = new FrameScheduler(this.animate, {
+            idleFps: this.reducedMotion ? 0 : 10,
+            isBusy: () => this.interactionManager.isAnimating() ||
+                gsap.globalTimeline.getChildren(true, true, false).some(tween => tween.isActive()),
+            onModeChange: () => this.performanceMonitor.reset()
+        });
+
+        if (this.options.qualitySelect) {
+            this.qualityManager.bindControl(this.options.qualitySelect);
+        }
+
+        // Create 3D objects, glTF models included
+        await this.portfolioObjects.init(data);
+        if (this.isDisposed) return;
+
+        // Deep link (e.g. /#projects): start at that section without the fly-in
+        if (this.currentSection !== 0) {
+            this.cameraController.jumpToSection(this.currentSection);
+            this.portfolioObjects.updateActiveSection(this.currentSection, { immediate: true });
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Start rendering; pauses while the canvas is off-screen
+        this.frameScheduler.init();
+        this.frameScheduler.observe(this.renderer.domElement);
+
+        // Hide loading screen
+        this.hideLoadingScreen();
+
+        this.isInitialized = true;
+        this.options.onReady(this);
+    }
+
+    // Static, scrollable HTML layout for browsers without (working) WebGL
+    enableFallback() {
+        this.isFallback = true;
+        this.root.classList.add('no-webgl');
+
+        // Keyboard and touch handlers would otherwise swallow page scrolling
+        if (this.inputController) this.inputController.dispose();
+        if (this.gestureController) this.gestureController.dispose();
+        if (this.unsubscribeReducedMotion) this.unsubscribeReducedMotion();
+        this.inputController = null;
+        this.gestureController = null;
+
+        // Mounting may have failed after rendering started
+        if (this.frameScheduler) this.frameScheduler.pause('fallback');
+        if (this.renderer) this.renderer.domElement.remove();
+
+        // Every section is shown; nav links become plain in-page anchors
+        this.querySections().forEach(section => {
+            section.id = section.dataset.section;
+            section.classList.add('active');
+            section.removeAttribute('aria-hidden');
+        });
+
+        this.hideLoadingScreen();
+
+        const target = this.sections.at(this.currentSection);
+        const element = target && document.getElementById(target.id);
+        if (this.currentSection !== 0 && element) {
+            element.scrollIntoView();
+        }
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.root.classList.toggle('reduced-motion', reduced);
+
+        if (this.cameraController) this.cameraController.reducedMotion = reduced;
+        if (this.portfolioObjects) this.portfolioObjects.reducedMotion = reduced;
+        if (this.interactionManager) this.interactionManager.reducedMotion = reduced;
+        if (this.themeManager) this.themeManager.reducedMotion = reduced;
+        // Nothing ambient moves, so idle frames can stop entirely
+        if (this.frameScheduler) this.frameScheduler.setIdleFps(reduced ? 0 : 10);
+    }
+
+    setupScene() {
+        const { theme } = this.themeManager;
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(theme.background);
+        this.scene.fog = new THREE.FogExp2(theme.background, theme.fogDensity);
+    }
+
+    // Container size in CSS pixels; never zero so the camera aspect stays finite
+    getSize() {
+        return {
+            width: this.container.clientWidth || 1,
+            height: this.container.clientHeight || 1
+        };
+    }
+
+    setupCamera() {
+        const { width, height } = this.getSize();
+        const fov = 75;
+        const aspect = width / height;
+        const near = 0.1;
+        const far = 1000;
+
+        this.camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
+        this.camera.position.set(0, 0, 15);
+    }
+
+    setupRenderer() {
+        const { width, height } = this.getSize();
+
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            alpha: true,
+            powerPreference: 'high-performance'
+        });
+
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit for performance
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = this.themeManager.theme.exposure;
+        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+
+        this.container.appendChild(this.renderer.domElement);
+    }
+
+    setupLights() {
+        // Ambient light for base illumination
+        const { lights } = this.themeManager.theme;
+
+        const ambientLight = new THREE.AmbientLight(lights.ambient.color, lights.ambient.intensity);
+        this.scene.add(ambientLight);
+
+        // Main directional light
+        const mainLight = new THREE.DirectionalLight(lights.main.color, lights.main.intensity);
+        mainLight.position.set(5, 10, 7.5);
+        mainLight.castShadow = true;
+        mainLight.shadow.camera.near = 0.1;
+        mainLight.shadow.camera.far = 50;
+        mainLight.shadow.camera.left = -10;
+        mainLight.shadow.camera.right = 10;
+        mainLight.shadow.camera.top = 10;
+        mainLight.shadow.camera.bottom = -10;
+        mainLight.shadow.mapSize.width = 2048;
+        mainLight.shadow.mapSize.height = 2048;
+        this.scene.add(mainLight);
+        this.mainLight = mainLight;
+
+        // Accent lights for atmosphere
+        const accentLight1 = new THREE.PointLight(lights.accent1.color, lights.accent1.intensity, 50);
+        accentLight1.position.set(-10, 5, -10);
+        this.scene.add(accentLight1);
+
+        const accentLight2 = new THREE.PointLight(lights.accent2.color, lights.accent2.intensity, 50);
+        accentLight2.position.set(10, 5, -10);
+        this.scene.add(accentLight2);
+
+        // Rim light for depth
+        const rimLight = new THREE.DirectionalLight(lights.rim.color, lights.rim.intensity);
+        rimLight.position.set(-5, 0, -10);
+        this.scene.add(rimLight);
+
+        // By the names used in a theme's `lights`
+        this.lights = {
+            ambient: ambientLight,
+            main: mainLight,
+            accent1: accentLight1,
+            accent2: accentLight2,
+            rim: rimLight
+        };
+    }
+
+    setupPostProcessing() {
+        this.composer = new EffectComposer(this.renderer);
+
+        // Render pass
+        const renderPass = new RenderPass(this.scene, this.camera);
+        this.composer.addPass(renderPass);
+
+        // Bloom pass for glow effect
+        const { width, height } = this.getSize();
+        const { bloom } = this.themeManager.theme;
+        const bloomPass = new UnrealBloomPass(
+            new THREE.Vector2(width, height),
+            bloom.strength,
+            bloom.radius,
+            bloom.threshold
+        );
+        this.composer.addPass(bloomPass);
+        this.bloomPass = bloomPass;
+    }
+
+    setupEventListeners() {
+        // Every listener shares one signal so dispose() removes them all
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        // Follows the container, not the window, so embedded layouts resize too
+        this.resizeObserver = new ResizeObserver(this.onResize);
+        this.resizeObserver.observe(this.container);
+
+        // Back/forward between sections
+        if (this.options.history) {
+            window.addEventListener('popstate', this.onPopState, { signal });
+        }
+
+        document.addEventListener('visibilitychange', this.onVisibilityChange, { signal });
+
+        // Navigation clicks
+        const navLinks = this.options.nav ? this.options.nav.querySelectorAll('a') : [];
+        navLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const sectionIndex = this.sections.indexOf(link.dataset.section);
+                this.navigateToSection(sectionIndex);
+            }, { signal });
+        });
+
+        // CTA button
+        const ctaButton = this.options.content && this.options.content.querySelector('.cta-button');
+        if (ctaButton) {
+            ctaButton.addEventListener('click', () => {
+                this.navigateToSection(this.currentSection + 1);
+            }, { signal });
+        }
+
+        // Scroll handling
+        this.root.addEventListener('wheel', (e) => {
+            clearTimeout(this.scrollTimeout);
+            this.scrollTimeout = setTimeout(() => {
+                if (e.deltaY > 0 && this.currentSection < this.sections.length - 1) {
+                    this.navigateToSection(this.currentSection + 1);
+                } else if (e.deltaY < 0 && this.currentSection > 0) {
+                    this.navigateToSection(this.currentSection - 1);
+                }
+            }, 100);
+        }, { passive: true, signal });
+    }
+
+    renderSections(data) {
+        const navLinks = this.options.nav;
+        const container = this.options.content;
+
+        this.sections.forEach((section, index) => {
+            if (navLinks) {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${section.id}`;
+                link.dataset.section = section.id;
+                link.textContent = section.label;
+                if (index === this.currentSection) link.setAttribute('aria-current', 'location');
+                item.appendChild(link);
+                navLinks.appendChild(item);
+            }
+
+            if (container) {
+                const element = document.createElement('section');
+                element.className = index === this.currentSection ? 'content-section active' : 'content-section';
+                element.dataset.section = section.id;
+                element.setAttribute('aria-label', section.label);
+                // Hidden overlays stay out of the accessibility tree until shown
+                if (index !== this.currentSection) element.setAttribute('aria-hidden', 'true');
+
+                const content = section.content ? section.content(data) : '';
+                if (typeof content === 'string') {
+                    element.innerHTML = content;
+                } else {
+                    element.appendChild(content);
+                }
+                container.appendChild(element);
+            }
+        });
+    }
+
+    querySections() {
+        return this.options.content ? [...this.options.content.querySelectorAll('.content-section')] : [];
+    }
+
+    // Index of the section named in location.hash, or -1
+    sectionIndexFromHash() {
+        return this.sections.indexOf(decodeURIComponent(window.location.hash.slice(1)));
+    }
+
+    onPopState() {
+        // An empty hash is the first section
+        const sectionIndex = window.location.hash ? this.sectionIndexFromHash() : 0;
+        if (sectionIndex !== -1) {
+            this.navigateToSection(sectionIndex, { updateHistory: false });
+        }
+    }
+
+    navigateToSection(sectionIndex, { updateHistory = true } = {}) {
+        if (sectionIndex === this.currentSection || !this.sections.at(sectionIndex)) return;
+
+        this.currentSection = sectionIndex;
+
+        // One history entry per section so back/forward move between them
+        if (updateHistory && this.options.history) {
+            window.history.pushState({ section: sectionIndex }, '', `#${this.sections.at(sectionIndex).id}`);
+        }
+
+        // Update content sections visibility
+        this.querySections().forEach((section, index) => {
+            if (index === sectionIndex) {
+                section.classList.add('active');
+                section.removeAttribute('aria-hidden');
+            } else {
+                section.classList.remove('active');
+                section.setAttribute('aria-hidden', 'true');
+            }
+        });
+
+        const navLinks = this.options.nav ? this.options.nav.querySelectorAll('a') : [];
+        navLinks.forEach(link => {
+            if (link.dataset.section === this.sections.at(sectionIndex).id) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        // Screen readers hear the section change
+        this.announce(`${this.sections.at(sectionIndex).label} section`);
+
+        // Move camera to section
+        this.cameraController.moveToSection(sectionIndex);
+
+        // Update 3D objects
+        this.portfolioObjects.updateActiveSection(sectionIndex);
+
+        this.options.onSectionChange(sectionIndex, this.sections.at(sectionIndex));
+    }
+
+    // Preset name or theme object; the scene and page tween to it
+    setTheme(theme) {
+        this.themeManager.setTheme(theme);
+        if (this.frameScheduler) this.frameScheduler.wake();
+    }
+
+    announce(message) {
+        if (this.options.announcer) this.options.announcer.textContent = message;
+    }
+
+    onResize() {
+        const { width, height } = this.getSize();
+
+        // Update camera
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        // Update renderer
+        this.renderer.setSize(width, height);
+        this.composer.setSize(width, height);
+
+        // Update pixel ratio (clamped by the current quality preset)
+        const maxPixelRatio = this.qualityManager ? this.qualityManager.preset.pixelRatio : 2;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+        this.composer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+
+        // Resizing clears the canvas; redraw even when idle frames are off
+        if (this.frameScheduler) this.frameScheduler.wake();
+    }
+
+    onVisibilityChange() {
+        if (this.frameScheduler) {
+            if (document.hidden) {
+                this.frameScheduler.pause('hidden');
+            } else {
+                this.frameScheduler.resume('hidden');
+            }
+        }
+
+        // Frames aren't drawn while hidden; don't count that time as a slow sample
+        if (this.performanceMonitor) {
+            this.performanceMonitor.reset();
+        }
+    }
+
+    // One frame; FrameScheduler decides when to call it
+    animate() {
+        const deltaTime = this.clock.getDelta();
+        const elapsedTime = this.clock.getElapsedTime();
+
+        // Update managers; ambient animation is frozen for reduced motion
+        if (!this.reducedMotion) {
+            if (this.sceneManager) {
+                this.sceneManager.update(elapsedTime);
+            }
+            if (this.portfolioObjects) {
+                this.portfolioObjects.update(elapsedTime, deltaTime);
+            }
+        }
+
+        if (this.cameraController) {
+            this.cameraController.update(deltaTime);
+        }
+
+        if (this.interactionManager) {
+            this.interactionManager.update(deltaTime);
+        }
+
+        if (this.inputController) {
+            this.inputController.update();
+        }
+
+        // Render
+        this.composer.render();
+
+        // Performance monitoring
+        if (this.performanceMonitor) {
+            this.performanceMonitor.update();
+        }
+    }
+
+    hideLoadingScreen() {
+        const loadingScreen = this.options.loadingScreen;
+        if (!loadingScreen) return;
+
+        gsap.to(loadingScreen, {
+            opacity: 0,
+            duration: this.reducedMotion ? 0 : 1,
+            delay: this.reducedMotion ? 0 : 0.5,
+            onComplete: () => {
+                loadingScreen.classList.add('fade-out');
+            }
+        });
+    }
+
+    // Releases listeners, GPU resources and generated DOM so the portfolio can be mounted again
+    dispose() {
+        this.isDisposed = true;
+        this.isInitialized = false;
+
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        clearTimeout(this.scrollTimeout);
+
+        if (this.unsubscribeReducedMotion) {
+            this.unsubscribeReducedMotion();
+            this.unsubscribeReducedMotion = null;
+        }
+
+        // Stop drawing first, then input, then what was drawn
+        const managers = [
+            'frameScheduler',
+            'inputController',
+            'gestureController',
+            'interactionManager',
+            'cameraController',
+            'qualityManager',
+            'themeManager',
+            'performanceMonitor',
+            'portfolioObjects',
+            'sceneManager'
+        ];
+        managers.forEach(name => {
+            if (this[name]) {
+                this[name].dispose();
+                this[name] = null;
+            }
+        });
+
+        // Cached glTF models and the Draco decoder workers
+        this.sceneLoader.dispose();
+
+        // Dispose whatever is left in the scene (lights and their shadow maps)
+        if (this.scene) {
+            this.scene.traverse((object) => {
+                if (object.geometry) {
+                    object.geometry.dispose();
+                }
+                if (object.material) {
+                    if (Array.isArray(object.material)) {
+                        object.material.forEach(material => material.dispose());
+                    } else {
+                        object.material.dispose();
+                    }
+                }
+                if (object.isLight) {
+                    object.dispose();
+                }
+            });
+            this.scene.clear();
+            this.scene = null;
+        }
+
+        if (this.composer) {
+            this.composer.dispose();
+            this.composer = null;
+        }
+        if (this.renderer) {
+            this.renderer.dispose();
+            // Browsers cap live WebGL contexts; give this one back now
+            this.renderer.forceContextLoss();
+            this.renderer.domElement.remove();
+            this.renderer = null;
+        }
+
+        // Generated nav and overlays are rebuilt on the next mount
+        if (this.options.nav) this.options.nav.innerHTML = '';
+        if (this.options.content) this.options.content.innerHTML = '';
+
+        if (this.options.loadingScreen) gsap.killTweensOf(this.options.loadingScreen);
+        this.root.classList.remove('no-webgl', 'reduced-motion');
+        if (this.addedTabIndex) this.container.removeAttribute('tabindex');
+    }
+}
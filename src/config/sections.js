@@ -0,0 +1,158 @@
+/**
+ * Sections - The portfolio's sections, in navigation order
+ * Each section declares:
+ *   id       - URL-safe name, also used for the nav link and its entry in src/config/scene.json
+ *   label    - nav link text
+ *   content  - (data) => overlay markup (HTML string or DOM node)
+ * Camera poses and 3D objects come from the scene description; a section may override them with:
+ *   camera   - { x, y, z, lookAt: { x, y, z } } while the section is active
+ *   build    - (portfolioObjects, data) => the section's 3D objects, already added to the scene
+ *   update   - (portfolioObjects, objects, elapsedTime, deltaTime) => per-frame animation
+ * `data` is { stackData, projects } as loaded by Portfolio3D.
+ * Add, remove or reorder entries here; nav, scrolling and camera follow.
+ */
+
+export const sections = [
+    {
+        id: 'home',
+        label: 'Home',
+        content: () => `
+            <div class="hero-content">
+                <h1 class="glitch" data-text="Welcome">Welcome</h1>
+                <p class="subtitle">Interactive 3D Portfolio Experience</p>
+                <button class="cta-button">Explore</button>
+            </div>`
+    },
+    {
+        id: 'about',
+        label: 'About',
+        content: () => `
+            <div class="section-content">
+                <h2>About Me</h2>
+                <p>Passionate developer creating immersive web experiences with cutting-edge technologies.</p>
+                <div class="stats">
+                    <div class="stat-item">
+                        <span class="stat-number">5+</span>
+                        <span class="stat-label">Years Experience</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">50+</span>
+                        <span class="stat-label">Projects Completed</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">100+</span>
+                        <span class="stat-label">Happy Clients</span>
+                    </div>
+                </div>
+            </div>`
+    },
+    {
+        id: 'projects',
+        label: 'Projects',
+        content: data => sectionContent('Projects', projectCards(data.projects))
+    },
+    {
+        id: 'skills',
+        label: 'Skills',
+        content: data => sectionContent('Skills', skillCategories(data.stackData))
+    },
+    {
+        id: 'contact',
+        label: 'Contact',
+        content: () => `
+            <div class="section-content">
+                <h2>Get In Touch</h2>
+                <form class="contact-form">
+                    <div class="form-group">
+                        <input type="text" placeholder="Your Name" required>
+                    </div>
+                    <div class="form-group">
+                        <input type="email" placeholder="Your Email" required>
+                    </div>
+                    <div class="form-group">
+                        <textarea placeholder="Your Message" rows="5" required></textarea>
+                    </div>
+                    <button type="submit" class="submit-button">Send Message</button>
+                </form>
+                <div class="social-links">
+                    <a href="#" aria-label="GitHub">GitHub</a>
+                    <a href="#" aria-label="LinkedIn">LinkedIn</a>
+                    <a href="#" aria-label="Twitter">Twitter</a>
+                </div>
+            </div>`
+    }
+];
+
+function sectionContent(title, body) {
+    const content = document.createElement('div');
+    content.className = 'section-content';
+
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    content.append(heading, body);
+
+    return content;
+}
+
+// Projects from projects.json (or the repos in stacks.json)
+function projectCards(projects) {
+    const container = document.createElement('div');
+    container.className = 'projects-grid';
+
+    projects.forEach(project => {
+        const card = document.createElement(project.url ? 'a' : 'div');
+        card.className = 'project-card';
+        if (project.url) {
+            card.href = project.url;
+            card.target = '_blank';
+            card.rel = 'noopener';
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = project.name;
+        card.appendChild(title);
+
+        if (project.description) {
+            const description = document.createElement('p');
+            description.textContent = project.description;
+            card.appendChild(description);
+        }
+
+        const techStack = document.createElement('div');
+        techStack.className = 'tech-stack';
+        techStack.textContent = project.technologies.join(', ');
+        card.appendChild(techStack);
+
+        container.appendChild(card);
+    });
+
+    return container;
+}
+
+// Technologies from stacks.json, one list per category
+function skillCategories(stackData) {
+    const container = document.createElement('div');
+    container.className = 'skills-container';
+
+    stackData.categories.forEach(category => {
+        const categoryElement = document.createElement('div');
+        categoryElement.className = 'skill-category';
+
+        const heading = document.createElement('h3');
+        heading.textContent = category.name;
+        categoryElement.appendChild(heading);
+
+        const list = document.createElement('ul');
+        category.technologies.forEach(tech => {
+            const item = document.createElement('li');
+            item.textContent = tech.name;
+            item.title = `Used in ${tech.repoCount} repo${tech.repoCount === 1 ? '' : 's'} (score ${tech.score})`;
+            list.appendChild(item);
+        });
+        categoryElement.appendChild(list);
+
+        container.appendChild(categoryElement);
+    });
+
+    return container;
+}
@@ -0,0 +1,115 @@
+/**
+ * Themes - Colour and lighting presets for the scene and the page
+ * Each theme declares:
+ *   palette    - colours by role; 3D materials and the CSS custom properties refer to roles, not hex values
+ *                primary / secondary / accent - the three highlight colours
+ *                neutral - stars and wireframe cores;  grid - floor grid lines
+ *                surface - project card and overlay panels;  text - overlay and card text
+ *   background - scene background, fog and page background
+ *   fogDensity, exposure - FogExp2 density and renderer tone mapping exposure
+ *   lights     - colour and intensity of the ambient, main, accent1, accent2 and rim lights
+ *   bloom      - UnrealBloomPass strength, radius and threshold
+ */
+
+export const THEMES = {
+    neon: {
+        name: 'neon',
+        label: 'Neon',
+        palette: {
+            primary: 0x00ffff,
+            secondary: 0xff00ff,
+            accent: 0x00ff88,
+            neutral: 0xffffff,
+            grid: 0x444444,
+            surface: 0x14141e,
+            text: 0xffffff
+        },
+        background: 0x0a0a0a,
+        fogDensity: 0.015,
+        exposure: 1.2,
+        lights: {
+            ambient: { color: 0xffffff, intensity: 0.3 },
+            main: { color: 0xffffff, intensity: 1 },
+            accent1: { color: 0x00ffff, intensity: 1 },
+            accent2: { color: 0xff00ff, intensity: 1 },
+            rim: { color: 0x00ff88, intensity: 0.5 }
+        },
+        bloom: { strength: 0.5, radius: 0.4, threshold: 0.85 }
+    },
+    light: {
+        name: 'light',
+        label: 'Light',
+        palette: {
+            primary: 0x0098a6,
+            secondary: 0xb3009f,
+            accent: 0x00995c,
+            neutral: 0x656d76,
+            grid: 0xd0d7de,
+            surface: 0xffffff,
+            text: 0x1f2328
+        },
+        background: 0xf3f5f8,
+        fogDensity: 0.012,
+        exposure: 1,
+        lights: {
+            ambient: { color: 0xffffff, intensity: 0.8 },
+            main: { color: 0xffffff, intensity: 1.2 },
+            accent1: { color: 0x0098a6, intensity: 0.5 },
+            accent2: { color: 0xb3009f, intensity: 0.5 },
+            rim: { color: 0x00995c, intensity: 0.3 }
+        },
+        bloom: { strength: 0.15, radius: 0.3, threshold: 0.95 }
+    },
+    monochrome: {
+        name: 'monochrome',
+        label: 'Monochrome',
+        palette: {
+            primary: 0xffffff,
+            secondary: 0xb3b3b3,
+            accent: 0x808080,
+            neutral: 0xffffff,
+            grid: 0x3a3a3a,
+            surface: 0x161616,
+            text: 0xf0f0f0
+        },
+        background: 0x080808,
+        fogDensity: 0.015,
+        exposure: 1.1,
+        lights: {
+            ambient: { color: 0xffffff, intensity: 0.3 },
+            main: { color: 0xffffff, intensity: 1 },
+            accent1: { color: 0xffffff, intensity: 0.6 },
+            accent2: { color: 0xb3b3b3, intensity: 0.6 },
+            rim: { color: 0x808080, intensity: 0.5 }
+        },
+        bloom: { strength: 0.4, radius: 0.4, threshold: 0.85 }
+    }
+};
+
+export const DEFAULT_THEME = 'neon';
+
+/**
+ * A preset name, or a theme object whose fields override a preset
+ * (`extends`, default neon). Unknown names fall back to the default theme.
+ */
+export function resolveTheme(theme) {
+    if (typeof theme === 'string' || !theme) {
+        return THEMES[theme] || THEMES[DEFAULT_THEME];
+    }
+
+    const base = THEMES[theme.extends] || THEMES[DEFAULT_THEME];
+    const lights = { ...base.lights };
+    Object.entries(theme.lights || {}).forEach(([name, light]) => {
+        lights[name] = { ...base.lights[name], ...light };
+    });
+
+    return {
+        ...base,
+        ...theme,
+        name: theme.name || 'custom',
+        label: theme.label || 'Custom',
+        palette: { ...base.palette, ...theme.palette },
+        lights,
+        bloom: { ...base.bloom, ...theme.bloom }
+    };
+}
@@ -0,0 +1,13 @@
+/**
+ * Library entry point - what other sites and frameworks import
+ *   import { Portfolio3D } from 'portfolio-web-3d';
+ *   const portfolio = new Portfolio3D(element, { onSectionChange: (index, section) => ... });
+ *   portfolio.dispose();   // on unmount
+ */
+
+export { Portfolio3D, DEFAULT_OPTIONS } from './Portfolio3D.js';
+export { THEMES, resolveTheme } from './config/themes.js';
+export { sections } from './config/sections.js';
+export { BEHAVIOURS } from './scripts/Behaviours.js';
+export { SCENE_VERSION } from './utils/SceneLoader.js';
+export { QUALITY_PRESETS } from './scripts/QualityManager.js';
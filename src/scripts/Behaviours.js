@@ -0,0 +1,53 @@
+/**
+ * Behaviours - Named per-frame animations for objects from the scene description
+ * Each behaviour is (object, params, elapsedTime) and animates relative to the
+ * transform the object was built with (object.userData.base). Angles are radians,
+ * speeds are per second. Add an entry here to make it available to scene.json.
+ */
+
+export const BEHAVIOURS = {
+    // speed: [x, y, z] rotation per second
+    spin(object, { speed = [0, 0.5, 0] }, elapsedTime) {
+        const { rotation } = object.userData.base;
+        object.rotation.set(
+            rotation.x + elapsedTime * speed[0],
+            rotation.y + elapsedTime * speed[1],
+            rotation.z + elapsedTime * speed[2]
+        );
+    },
+
+    // Circles `center` (x, z) at the distance it was placed; bob moves it up and down
+    orbit(object, { speed = 0.5, center = [0, 0], bob = 0, bobSpeed = speed, phase = 0 }, elapsedTime) {
+        const { position } = object.userData.base;
+        const dx = position.x - center[0];
+        const dz = position.z - center[1];
+        const radius = Math.hypot(dx, dz);
+        const angle = Math.atan2(dz, dx) + elapsedTime * speed;
+
+        object.position.x = center[0] + Math.cos(angle) * radius;
+        object.position.z = center[1] + Math.sin(angle) * radius;
+        object.position.y = position.y + Math.sin(elapsedTime * bobSpeed + phase) * bob;
+    },
+
+    float(object, { amplitude = 0.1, speed = 2, phase = 0 }, elapsedTime) {
+        object.position.y = object.userData.base.position.y + Math.sin(elapsedTime * speed + phase) * amplitude;
+    },
+
+    // Rocks back and forth around one axis
+    sway(object, { axis = 'y', amplitude = 0.2, speed = 1, phase = 0 }, elapsedTime) {
+        object.rotation[axis] = object.userData.base.rotation[axis] + Math.sin(elapsedTime * speed + phase) * amplitude;
+    },
+
+    pulse(object, { amplitude = 0.2, speed = 2, phase = 0 }, elapsedTime) {
+        const factor = 1 + Math.sin(elapsedTime * speed + phase) * amplitude;
+        object.scale.copy(object.userData.base.scale).multiplyScalar(factor);
+    }
+};
+
+// Runs every behaviour attached to `object` (userData.behaviours)
+export function runBehaviours(object, elapsedTime) {
+    const behaviours = object.userData.behaviours;
+    if (!behaviours) return;
+
+    behaviours.forEach(behaviour => BEHAVIOURS[behaviour.type](object, behaviour, elapsedTime));
+}
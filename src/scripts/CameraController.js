@@ -1,36 +1,58 @@
 /**
  * CameraController - Manages camera movements and animations
- * Implements smooth transitions between sections
+ * Implements smooth transitions between sections. Touch orbit and pinch zoom
+ * are applied around the section's lookAt target on top of the section pose.
  */
 
 import gsap from 'gsap';
 import * as THREE from 'three';
 
 export class CameraController {
-    constructor(camera) {
+    constructor(camera, sections, element = null) {
         this.camera = camera;
-        this.targetPosition = new THREE.Vector3(0, 0, 15);
+        // Parallax is measured against this element's box (the canvas), else the viewport
+        this.element = element;
+        // Section pose before orbit/zoom; tweened between sections
+        this.basePosition = camera.position.clone();
+        this.targetPosition = new THREE.Vector3(0, 0, 0);
         this.targetRotation = new THREE.Euler(0, 0, 0);
         this.mousePosX = 0;
         this.mousePosY = 0;
         this.parallaxStrength = 0.01;
+        // Cuts instead of flights, no parallax
+        this.reducedMotion = false;
 
-        // Camera positions for each section
-        this.sectionPositions = [
-            { x: 0, y: 0, z: 15, lookAt: { x: 0, y: 0, z: 0 } },      // Home
-            { x: -8, y: 2, z: 12, lookAt: { x: -8, y: 0, z: 0 } },     // About
-            { x: 8, y: -2, z: 12, lookAt: { x: 8, y: 0, z: 0 } },      // Projects
-            { x: 0, y: 5, z: 10, lookAt: { x: 0, y: 3, z: 0 } },       // Skills
-            { x: 0, y: -3, z: 13, lookAt: { x: 0, y: -3, z: 0 } }      // Contact
-        ];
+        // Orbit angle (radians around the lookAt target) and zoom factor from gestures
+        this.orbitState = { angle: 0, zoom: 1 };
+        this.orbitLimit = Math.PI / 3;
+        this.zoomLimits = { min: 0.7, max: 1.8 };
+        this.offset = new THREE.Vector3();
+
+        // Camera positions for each section, from the section registry
+        this.sectionPositions = sections.map(section => section.camera);
+        this.abortController = null;
+    }
+
+    init() {
+        this.abortController = new AbortController();
+
+        // Mouse position drives the parallax in update()
+        document.addEventListener('mousemove', event => this.handleMouseMove(event), {
+            signal: this.abortController.signal
+        });
     }
 
     moveToSection(sectionIndex) {
         const position = this.sectionPositions[sectionIndex];
         if (!position) return;
 
+        if (this.reducedMotion) {
+            this.jumpToSection(sectionIndex);
+            return;
+        }
+
         // Animate camera position
-        gsap.to(this.camera.position, {
+        gsap.to(this.basePosition, {
             x: position.x,
             y: position.y,
             z: position.z,
@@ -52,31 +74,91 @@ export class CameraController {
             duration: 1.5,
             ease: 'power2.inOut'
         });
+
+        // Each section starts from its own framing
+        this.resetOrbit();
+    }
+
+    // Places the camera at a section immediately, e.g. when opened from a deep link
+    jumpToSection(sectionIndex) {
+        const position = this.sectionPositions[sectionIndex];
+        if (!position) return;
+
+        gsap.killTweensOf(this.basePosition);
+        gsap.killTweensOf(this.targetPosition);
+        gsap.killTweensOf(this.orbitState);
+
+        this.basePosition.set(position.x, position.y, position.z);
+        this.targetPosition.set(position.lookAt.x, position.lookAt.y, position.lookAt.z);
+        this.orbitState.angle = 0;
+        this.orbitState.zoom = 1;
+        this.update(0);
+    }
+
+    // Rotates around the current lookAt target, within orbitLimit
+    orbit(deltaAngle) {
+        gsap.killTweensOf(this.orbitState);
+        this.orbitState.angle = THREE.MathUtils.clamp(
+            this.orbitState.angle + deltaAngle,
+            -this.orbitLimit,
+            this.orbitLimit
+        );
+    }
+
+    // Zoom factor > 1 moves closer to the lookAt target
+    setZoom(zoom) {
+        gsap.killTweensOf(this.orbitState);
+        this.orbitState.zoom = THREE.MathUtils.clamp(zoom, this.zoomLimits.min, this.zoomLimits.max);
+    }
+
+    getZoom() {
+        return this.orbitState.zoom;
+    }
+
+    resetOrbit() {
+        gsap.to(this.orbitState, {
+            angle: 0,
+            zoom: 1,
+            duration: 1.5,
+            ease: 'power2.inOut'
+        });
     }
 
     handleMouseMove(event) {
+        const rect = this.element
+            ? this.element.getBoundingClientRect()
+            : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+        if (rect.width === 0 || rect.height === 0) return;
+
         // Normalize mouse position to -1 to 1
-        this.mousePosX = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mousePosY = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.mousePosX = THREE.MathUtils.clamp(((event.clientX - rect.left) / rect.width) * 2 - 1, -1, 1);
+        this.mousePosY = THREE.MathUtils.clamp(-((event.clientY - rect.top) / rect.height) * 2 + 1, -1, 1);
     }
 
     update(deltaTime) {
         // Apply parallax effect based on mouse position
-        const targetX = this.camera.position.x + this.mousePosX * this.parallaxStrength;
-        const targetY = this.camera.position.y + this.mousePosY * this.parallaxStrength;
+        if (!this.reducedMotion) {
+            const targetX = this.basePosition.x + this.mousePosX * this.parallaxStrength;
+            const targetY = this.basePosition.y + this.mousePosY * this.parallaxStrength;
 
-        // Smooth lerp to target
-        this.camera.position.x += (targetX - this.camera.position.x) * 0.05;
-        this.camera.position.y += (targetY - this.camera.position.y) * 0.05;
+            // Smooth lerp to target
+            this.basePosition.x += (targetX - this.basePosition.x) * 0.05;
+            this.basePosition.y += (targetY - this.basePosition.y) * 0.05;
+        }
+
+        // Orbit and zoom around the lookAt target
+        this.offset
+            .subVectors(this.basePosition, this.targetPosition)
+            .applyAxisAngle(THREE.Object3D.DEFAULT_UP, this.orbitState.angle)
+            .divideScalar(this.orbitState.zoom);
+        this.camera.position.addVectors(this.targetPosition, this.offset);
 
         // Always look at target position
         this.camera.lookAt(this.targetPosition);
     }
 
     shake(intensity = 0.5, duration = 0.3) {
-        const originalPosition = this.camera.position.clone();
-
-        gsap.to(this.camera.position, {
+        gsap.to(this.basePosition, {
             x: `+=${Math.random() * intensity - intensity / 2}`,
             y: `+=${Math.random() * intensity - intensity / 2}`,
             z: `+=${Math.random() * intensity - intensity / 2}`,
@@ -86,4 +168,15 @@ export class CameraController {
             ease: 'power2.inOut'
         });
     }
+
+    dispose() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        gsap.killTweensOf(this.basePosition);
+        gsap.killTweensOf(this.targetPosition);
+        gsap.killTweensOf(this.orbitState);
+    }
 }
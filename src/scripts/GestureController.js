@@ -0,0 +1,161 @@
+/**
+ * GestureController - Touch gestures for phones and tablets
+ * Vertical swipe changes section, horizontal drag orbits the current section,
+ * pinch zooms within the camera's limits and a short tap picks a 3D object.
+ * Touches that start on links, buttons or form fields are left to the browser.
+ */
+
+const TAP_MAX_DISTANCE = 10;      // px a tap may wander
+const TAP_MAX_DURATION = 300;     // ms
+const SWIPE_MIN_DISTANCE = 50;    // px along the swipe axis
+const ORBIT_SPEED = Math.PI;      // radians per screen width dragged
+
+const NATIVE_TARGETS = 'a, button, input, textarea, select, label';
+
+export class GestureController {
+    constructor(element, interactionManager, cameraController, portfolioObjects, { onNavigate }) {
+        this.element = element;
+        this.interactionManager = interactionManager;
+        this.cameraController = cameraController;
+        this.portfolioObjects = portfolioObjects;
+        this.onNavigate = onNavigate;
+
+        this.gesture = null;
+        this.abortController = null;
+    }
+
+    init() {
+        // One signal removes every listener in dispose()
+        this.abortController = new AbortController();
+        // Not passive: recognised gestures cancel the browser's own scroll and zoom
+        const options = { passive: false, signal: this.abortController.signal };
+
+        this.element.addEventListener('touchstart', event => this.onTouchStart(event), options);
+        this.element.addEventListener('touchmove', event => this.onTouchMove(event), options);
+        this.element.addEventListener('touchend', event => this.onTouchEnd(event), options);
+        this.element.addEventListener('touchcancel', event => this.onTouchEnd(event), options);
+    }
+
+    onTouchStart(event) {
+        if (event.target.closest && event.target.closest(NATIVE_TARGETS)) {
+            this.gesture = null;
+            return;
+        }
+
+        if (event.touches.length === 2) {
+            this.gesture = {
+                type: 'pinch',
+                startDistance: this.touchDistance(event.touches),
+                startZoom: this.cameraController.getZoom()
+            };
+            return;
+        }
+
+        if (event.touches.length === 1) {
+            const touch = event.touches[0];
+            this.gesture = {
+                // Undecided until it moves past TAP_MAX_DISTANCE
+                type: 'pending',
+                startX: touch.clientX,
+                startY: touch.clientY,
+                lastX: touch.clientX,
+                startTime: performance.now(),
+                scrollable: this.scrollableParent(event.target)
+            };
+        }
+    }
+
+    onTouchMove(event) {
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch') {
+            if (event.touches.length !== 2) return;
+            event.preventDefault();
+            const scale = this.touchDistance(event.touches) / gesture.startDistance;
+            this.cameraController.setZoom(gesture.startZoom * scale);
+            return;
+        }
+
+        const touch = event.touches[0];
+        const dx = touch.clientX - gesture.startX;
+        const dy = touch.clientY - gesture.startY;
+
+        if (gesture.type === 'pending' && Math.hypot(dx, dy) > TAP_MAX_DISTANCE) {
+            if (Math.abs(dy) > Math.abs(dx)) {
+                // Content that scrolls on its own keeps vertical drags
+                gesture.type = gesture.scrollable ? 'scroll' : 'swipe';
+            } else {
+                gesture.type = 'orbit';
+            }
+        }
+
+        if (gesture.type === 'orbit') {
+            event.preventDefault();
+            const width = this.element.clientWidth || window.innerWidth;
+            this.cameraController.orbit(((touch.clientX - gesture.lastX) / width) * ORBIT_SPEED);
+            gesture.lastX = touch.clientX;
+        } else if (gesture.type === 'swipe') {
+            event.preventDefault();
+        }
+
+        gesture.endX = touch.clientX;
+        gesture.endY = touch.clientY;
+    }
+
+    onTouchEnd(event) {
+        const gesture = this.gesture;
+        if (!gesture || event.touches.length > 0) return;
+        this.gesture = null;
+
+        if (gesture.type === 'pending' && performance.now() - gesture.startTime <= TAP_MAX_DURATION) {
+            // Taps on overlay links and buttons keep their normal click
+            if (!this.interactionManager.isOverScene(gesture.startX, gesture.startY)) return;
+
+            // Handle the tap here and suppress the emulated click that would follow
+            event.preventDefault();
+            this.interactionManager.tapAt(gesture.startX, gesture.startY);
+            return;
+        }
+
+        if (gesture.type === 'swipe') {
+            const dy = gesture.endY - gesture.startY;
+            if (Math.abs(dy) >= SWIPE_MIN_DISTANCE) {
+                // Swipe up moves on, like scrolling down
+                this.navigateBy(dy < 0 ? 1 : -1);
+            }
+        }
+    }
+
+    navigateBy(delta) {
+        const target = this.portfolioObjects.currentSection + delta;
+        if (target < 0 || target >= this.portfolioObjects.sections.length) return;
+
+        this.onNavigate(target);
+    }
+
+    touchDistance(touches) {
+        return Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        ) || 1;
+    }
+
+    // Nearest ancestor that scrolls vertically, or null
+    scrollableParent(element) {
+        for (let node = element; node && node !== document.body; node = node.parentElement) {
+            const overflowY = window.getComputedStyle(node).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    dispose() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+}
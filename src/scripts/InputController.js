@@ -0,0 +1,200 @@
+/**
+ * InputController - Keyboard and gamepad navigation
+ * Arrows/PageUp/PageDown/Home/End move between sections, Tab cycles focus through
+ * the current section's 3D objects and Enter clicks the focused one.
+ * Gamepads (standard mapping) are polled from update(): d-pad and shoulder buttons
+ * move between sections, triggers cycle focus and A clicks.
+ */
+
+// Standard gamepad mapping button indices
+const GAMEPAD_BUTTONS = {
+    a: 0,
+    leftShoulder: 4,
+    rightShoulder: 5,
+    leftTrigger: 6,
+    rightTrigger: 7,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+export class InputController {
+    constructor(interactionManager, portfolioObjects, { onNavigate, target = window }) {
+        this.interactionManager = interactionManager;
+        this.portfolioObjects = portfolioObjects;
+        this.onNavigate = onNavigate;
+        // Keys are only taken from events inside this element (the whole page by default)
+        this.target = target;
+
+        this.focusIndex = -1;
+        this.focusSection = -1;
+        this.gamepadButtons = new Map();
+        this.gamepadsConnected = 0;
+        this.abortController = null;
+    }
+
+    init() {
+        // One signal removes every listener in dispose()
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        this.target.addEventListener('keydown', event => this.onKeyDown(event), { signal });
+
+        if ('getGamepads' in navigator) {
+            window.addEventListener('gamepadconnected', event => this.onGamepadConnected(event), { signal });
+            window.addEventListener('gamepaddisconnected', event => this.onGamepadDisconnected(event), { signal });
+        }
+    }
+
+    onKeyDown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey || this.isEditable(event.target)) return;
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowRight':
+            case 'PageDown':
+                this.navigateBy(1);
+                break;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+            case 'PageUp':
+                this.navigateBy(-1);
+                break;
+            case 'Home':
+                this.navigateTo(0);
+                break;
+            case 'End':
+                this.navigateTo(this.portfolioObjects.sections.length - 1);
+                break;
+            case 'Tab':
+                // Only take Tab while no DOM control has focus; past the last object it moves on to the page
+                if (!this.isPageFocused()) return;
+                if (!this.cycleFocus(event.shiftKey ? -1 : 1)) return;
+                break;
+            case 'Enter':
+                if (!this.isPageFocused() || !this.activateFocused()) return;
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    }
+
+    // Form fields keep their own keys
+    isEditable(element) {
+        return Boolean(element && (
+            element.isContentEditable ||
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+        ));
+    }
+
+    isPageFocused() {
+        const active = document.activeElement;
+        return !active || active === document.body || active === this.target || active.tagName === 'CANVAS';
+    }
+
+    navigateBy(delta) {
+        this.navigateTo(this.portfolioObjects.currentSection + delta);
+    }
+
+    navigateTo(sectionIndex) {
+        const lastIndex = this.portfolioObjects.sections.length - 1;
+        const target = Math.min(Math.max(sectionIndex, 0), lastIndex);
+        if (target === this.portfolioObjects.currentSection) return;
+
+        this.clearFocus();
+        this.onNavigate(target);
+    }
+
+    // Meshes of the current section, in creation order
+    focusableObjects() {
+        // Focus from a section the user has since left (nav click, wheel, back button)
+        if (this.focusSection !== this.portfolioObjects.currentSection) {
+            this.clearFocus();
+            this.focusSection = this.portfolioObjects.currentSection;
+        }
+
+        return this.portfolioObjects.getSectionObjects().filter(obj => obj.isMesh);
+    }
+
+    // Moves focus by `step`; returns false once focus runs off either end
+    cycleFocus(step) {
+        const objects = this.focusableObjects();
+        const next = this.focusIndex === -1 && step < 0 ? objects.length - 1 : this.focusIndex + step;
+
+        if (next < 0 || next >= objects.length) {
+            this.clearFocus();
+            return false;
+        }
+
+        this.focusIndex = next;
+        this.interactionManager.focusObject(objects[next]);
+        return true;
+    }
+
+    activateFocused() {
+        const object = this.focusableObjects()[this.focusIndex];
+        if (!object) return false;
+
+        this.interactionManager.handleObjectClick(object);
+        return true;
+    }
+
+    clearFocus() {
+        this.focusIndex = -1;
+        this.interactionManager.clearFocus();
+    }
+
+    onGamepadConnected() {
+        this.gamepadsConnected++;
+    }
+
+    onGamepadDisconnected() {
+        this.gamepadsConnected = Math.max(0, this.gamepadsConnected - 1);
+        this.gamepadButtons.clear();
+    }
+
+    // Polls connected gamepads; called once per frame
+    update() {
+        if (this.gamepadsConnected === 0) return;
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad || gamepad.mapping !== 'standard') continue;
+
+            // Buttons that went down since the last frame
+            const pressed = {};
+            Object.entries(GAMEPAD_BUTTONS).forEach(([name, button]) => {
+                const key = `${gamepad.index}:${button}`;
+                const isDown = Boolean(gamepad.buttons[button] && gamepad.buttons[button].pressed);
+                pressed[name] = isDown && !this.gamepadButtons.get(key);
+                this.gamepadButtons.set(key, isDown);
+            });
+
+            if (pressed.down || pressed.right || pressed.rightShoulder) {
+                this.navigateBy(1);
+            }
+            if (pressed.up || pressed.left || pressed.leftShoulder) {
+                this.navigateBy(-1);
+            }
+            // Triggers wrap around, there is no page to hand focus to
+            if (pressed.rightTrigger && !this.cycleFocus(1)) {
+                this.cycleFocus(1);
+            }
+            if (pressed.leftTrigger && !this.cycleFocus(-1)) {
+                this.cycleFocus(-1);
+            }
+            if (pressed.a) {
+                this.activateFocused();
+            }
+        }
+    }
+
+    dispose() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+}
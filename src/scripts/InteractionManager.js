@@ -5,41 +5,88 @@
 
 import * as THREE from 'three';
 
+// Overlay elements that keep the pointer for themselves
+const INTERACTIVE_ELEMENTS = 'a, button, input, textarea, select, label, summary, [role="button"]';
+
 export class InteractionManager {
-    constructor(camera, renderer, portfolioObjects) {
+    constructor(camera, renderer, portfolioObjects, { onObjectClick = () => {}, overlay = null, container = null } = {}) {
         this.camera = camera;
         this.renderer = renderer;
         this.portfolioObjects = portfolioObjects;
+        // Return false to keep a project card from opening its link
+        this.onObjectClick = onObjectClick;
+        // Section overlay stacked above the canvas
+        this.overlay = overlay;
+        // Hover cursors go on these elements, never on the host page's body
+        this.cursorElements = [container, overlay].filter(Boolean);
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.hoveredObject = null;
+        this.focusedObject = null;
+        this.reducedMotion = false;
+        // Hover is only re-tested after the pointer moves
+        this.pointerMoved = false;
+        this.pointerInside = false;
+        // Click ripples, advanced by update() on the main clock
+        this.ripples = [];
+        // Click bounce in progress: { object, originalScale, timer }
+        this.bounceState = null;
+        this.abortController = null;
+    }
+
+    init() {
+        // One signal removes every listener in dispose()
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        window.addEventListener('mousemove', event => this.onMouseMove(event), { signal });
+        window.addEventListener('click', event => this.onClick(event), { signal });
+    }
+
+    // Normalized device coordinates (-1 to +1) within the canvas; false when outside it
+    setPointer(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return false;
 
-        this.setupEventListeners();
+        this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+        return Math.abs(this.mouse.x) <= 1 && Math.abs(this.mouse.y) <= 1;
     }
 
-    setupEventListeners() {
-        window.addEventListener('mousemove', this.onMouseMove.bind(this), false);
-        window.addEventListener('click', this.onClick.bind(this), false);
-        window.addEventListener('touchstart', this.onTouchStart.bind(this), false);
+    /**
+     * Whether the point shows the scene: the canvas itself, or overlay text in front of it.
+     * Overlay links, buttons and form fields keep their clicks, and so does anything
+     * outside the overlay (nav, controls, the host page).
+     */
+    isOverScene(clientX, clientY) {
+        const element = document.elementFromPoint(clientX, clientY);
+        if (!element) return false;
+        if (element === this.renderer.domElement) return true;
+        if (!this.overlay || !this.overlay.contains(element)) return false;
+
+        const interactive = element.closest(INTERACTIVE_ELEMENTS);
+        return !interactive || !this.overlay.contains(interactive);
     }
 
     onMouseMove(event) {
-        // Calculate mouse position in normalized device coordinates (-1 to +1)
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        const { clientX, clientY } = event;
+        this.pointerInside = this.setPointer(clientX, clientY) && this.isOverScene(clientX, clientY);
+        this.pointerMoved = true;
     }
 
-    onTouchStart(event) {
-        if (event.touches.length > 0) {
-            this.mouse.x = (event.touches[0].clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(event.touches[0].clientY / window.innerHeight) * 2 + 1;
-            this.checkIntersections();
+    // Taps come from GestureController so swipes and drags don't pick objects
+    tapAt(clientX, clientY) {
+        if (this.setPointer(clientX, clientY)) {
+            this.checkIntersections(true);
         }
     }
 
     onClick(event) {
-        this.checkIntersections(true);
+        const { clientX, clientY } = event;
+        if (this.isOverScene(clientX, clientY) && this.setPointer(clientX, clientY)) {
+            this.checkIntersections(true);
+        }
     }
 
     checkIntersections(isClick = false) {
@@ -47,15 +94,17 @@ export class InteractionManager {
         this.raycaster.setFromCamera(this.mouse, this.camera);
 
         // Get all objects from current section
-        const sectionNames = ['hero', 'about', 'projects', 'skills', 'contact'];
-        const currentSection = this.portfolioObjects.currentSection;
-        const currentObjects = this.portfolioObjects.objects[sectionNames[currentSection]];
+        const currentObjects = this.portfolioObjects.getSectionObjects();
 
         // Calculate intersections
-        const intersects = this.raycaster.intersectObjects(currentObjects, false);
+        const intersects = this.raycaster.intersectObjects(currentObjects, true);
 
         if (intersects.length > 0) {
-            const object = intersects[0].object;
+            // Hits on outlines, frames and model parts count for the object they belong to
+            let object = intersects[0].object;
+            while (!currentObjects.includes(object) && object.parent) {
+                object = object.parent;
+            }
 
             if (isClick) {
                 this.handleObjectClick(object);
@@ -72,43 +121,89 @@ export class InteractionManager {
             this.clearHover();
             this.hoveredObject = object;
 
-            // Change cursor
-            document.body.style.cursor = 'pointer';
+            this.setCursor('pointer');
 
-            // Highlight object (if it has material)
-            if (object.material) {
-                object.userData.originalEmissiveIntensity = object.material.emissiveIntensity || 0;
-                if (object.material.emissiveIntensity !== undefined) {
-                    object.material.emissiveIntensity = 1;
-                }
+            if (object !== this.focusedObject) {
+                this.setHighlight(object, true);
             }
         }
     }
 
+    // Keyboard/gamepad focus, highlighted like a hover
+    focusObject(object) {
+        this.clearFocus();
+        this.focusedObject = object;
+
+        if (object !== this.hoveredObject) {
+            this.setHighlight(object, true);
+        }
+    }
+
+    clearFocus() {
+        if (this.focusedObject) {
+            if (this.focusedObject !== this.hoveredObject) {
+                this.setHighlight(this.focusedObject, false);
+            }
+            this.focusedObject = null;
+        }
+    }
+
+    setHighlight(object, highlighted) {
+        if (!object.material || object.material.emissiveIntensity === undefined) return;
+
+        if (highlighted) {
+            object.userData.originalEmissiveIntensity = object.material.emissiveIntensity;
+            object.material.emissiveIntensity = 1;
+        } else if (object.userData.originalEmissiveIntensity !== undefined) {
+            object.material.emissiveIntensity = object.userData.originalEmissiveIntensity;
+        }
+    }
+
     handleObjectClick(object) {
-        console.log('Clicked object:', object);
+        const project = object.userData.project || null;
+        const openLink = this.onObjectClick({ object, project }) !== false;
+
+        // Project cards link to their repository
+        if (openLink && project && project.url) {
+            window.open(project.url, '_blank', 'noopener');
+        }
+
+        // Ripple and bounce are skipped for reduced motion
+        if (this.reducedMotion) return;
 
         // Create ripple effect at click position
         this.createRipple(object.position);
 
         // Add click animation
-        const originalScale = { x: object.scale.x, y: object.scale.y, z: object.scale.z };
-
-        // Simple scale animation
-        const scaleUp = () => {
-            object.scale.multiplyScalar(1.2);
-            setTimeout(() => {
-                object.scale.set(originalScale.x, originalScale.y, originalScale.z);
-            }, 150);
+        this.bounce(object);
+    }
+
+    // Brief scale-up; the timer is kept so dispose() can settle it
+    bounce(object) {
+        this.settleBounce();
+
+        const originalScale = object.scale.clone();
+        object.scale.multiplyScalar(1.2);
+        this.bounceState = {
+            object,
+            originalScale,
+            timer: setTimeout(() => this.settleBounce(), 150)
         };
+    }
+
+    settleBounce() {
+        if (!this.bounceState) return;
 
-        scaleUp();
+        const { object, originalScale, timer } = this.bounceState;
+        clearTimeout(timer);
+        object.scale.copy(originalScale);
+        this.bounceState = null;
     }
 
     createRipple(position) {
         const rippleGeometry = new THREE.RingGeometry(0.1, 0.5, 32);
         const rippleMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ffff,
+            color: this.portfolioObjects.theme.palette.primary,
             transparent: true,
             opacity: 1,
             side: THREE.DoubleSide
@@ -117,49 +212,80 @@ export class InteractionManager {
         ripple.position.copy(position);
 
         this.portfolioObjects.scene.add(ripple);
+        this.ripples.push({ mesh: ripple, age: 0, duration: 1 });
+    }
 
-        // Animate ripple
-        const startTime = Date.now();
-        const duration = 1000;
+    // True while ripples still need frames
+    isAnimating() {
+        return this.ripples.length > 0;
+    }
 
-        const animateRipple = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = elapsed / duration;
+    updateRipples(deltaTime) {
+        this.ripples = this.ripples.filter(ripple => {
+            ripple.age += deltaTime;
+            const progress = ripple.age / ripple.duration;
 
             if (progress < 1) {
-                ripple.scale.set(1 + progress * 3, 1 + progress * 3, 1);
-                ripple.material.opacity = 1 - progress;
-                requestAnimationFrame(animateRipple);
-            } else {
-                this.portfolioObjects.scene.remove(ripple);
-                ripple.geometry.dispose();
-                ripple.material.dispose();
+                ripple.mesh.scale.set(1 + progress * 3, 1 + progress * 3, 1);
+                ripple.mesh.material.opacity = 1 - progress;
+                return true;
             }
-        };
 
-        animateRipple();
+            this.removeRipple(ripple);
+            return false;
+        });
+    }
+
+    removeRipple(ripple) {
+        this.portfolioObjects.scene.remove(ripple.mesh);
+        ripple.mesh.geometry.dispose();
+        ripple.mesh.material.dispose();
     }
 
     clearHover() {
         if (this.hoveredObject) {
-            document.body.style.cursor = 'default';
+            this.setCursor('');
 
-            // Restore original emissive intensity
-            if (this.hoveredObject.material && this.hoveredObject.userData.originalEmissiveIntensity !== undefined) {
-                this.hoveredObject.material.emissiveIntensity = this.hoveredObject.userData.originalEmissiveIntensity;
+            // Restore original emissive intensity, unless the object keeps keyboard focus
+            if (this.hoveredObject !== this.focusedObject) {
+                this.setHighlight(this.hoveredObject, false);
             }
 
             this.hoveredObject = null;
         }
     }
 
-    update() {
-        this.checkIntersections(false);
+    // '' hands the cursor back to the stylesheet
+    setCursor(cursor) {
+        this.cursorElements.forEach(element => {
+            element.style.cursor = cursor;
+        });
+    }
+
+    update(deltaTime = 0) {
+        this.updateRipples(deltaTime);
+
+        if (!this.pointerMoved) return;
+
+        this.pointerMoved = false;
+        if (this.pointerInside) {
+            this.checkIntersections(false);
+        } else {
+            this.clearHover();
+        }
     }
 
     dispose() {
-        window.removeEventListener('mousemove', this.onMouseMove.bind(this));
-        window.removeEventListener('click', this.onClick.bind(this));
-        window.removeEventListener('touchstart', this.onTouchStart.bind(this));
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        this.ripples.forEach(ripple => this.removeRipple(ripple));
+        this.ripples = [];
+        this.settleBounce();
+
+        this.clearHover();
+        this.clearFocus();
     }
 }
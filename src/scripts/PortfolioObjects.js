@@ -1,292 +1,418 @@
 /**
  * PortfolioObjects - Creates and manages all 3D objects in the portfolio
+ * Sections are built from the scene description (src/config/scene.json) unless they define build()
  * Following Three.js best practices for geometry and material management
  */
 
 import * as THREE from 'three';
 import gsap from 'gsap';
+import { ProjectCardTexture } from '../utils/ProjectCardTexture.js';
+import { BEHAVIOURS, runBehaviours } from './Behaviours.js';
+import { disposeObject } from '../utils/Disposal.js';
+
+// Primitive geometries by scene description "type"
+const GEOMETRIES = {
+    box: ({ width = 1, height = 1, depth = 1 }) => new THREE.BoxGeometry(width, height, depth),
+    sphere: ({ radius = 1, widthSegments = 32, heightSegments = 16 }) =>
+        new THREE.SphereGeometry(radius, widthSegments, heightSegments),
+    torus: ({ radius = 1, tube = 0.4, radialSegments = 16, tubularSegments = 100 }) =>
+        new THREE.TorusGeometry(radius, tube, radialSegments, tubularSegments),
+    cone: ({ radius = 1, height = 1, radialSegments = 32 }) => new THREE.ConeGeometry(radius, height, radialSegments),
+    plane: ({ width = 1, height = 1 }) => new THREE.PlaneGeometry(width, height),
+    ring: ({ innerRadius = 0.5, outerRadius = 1, thetaSegments = 32 }) =>
+        new THREE.RingGeometry(innerRadius, outerRadius, thetaSegments),
+    icosahedron: ({ radius = 1, detail = 0 }) => new THREE.IcosahedronGeometry(radius, detail),
+    octahedron: ({ radius = 1, detail = 0 }) => new THREE.OctahedronGeometry(radius, detail),
+    // Vertical spiral drawn as a line, centred on the origin
+    helix: ({ radius = 1, height = 6, turns = 2, segments = 100 }) => {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const t = i / segments;
+            const angle = t * Math.PI * 2 * turns;
+            points.push(new THREE.Vector3(Math.cos(angle) * radius, (t - 0.5) * height, Math.sin(angle) * radius));
+        }
+        return new THREE.BufferGeometry().setFromPoints(points);
+    }
+};
+
+const MATERIALS = {
+    standard: THREE.MeshStandardMaterial,
+    basic: THREE.MeshBasicMaterial,
+    line: THREE.LineBasicMaterial
+};
+
+const SIDES = {
+    front: THREE.FrontSide,
+    back: THREE.BackSide,
+    double: THREE.DoubleSide
+};
+
+// Data-driven object sets, by scene description "generator"
+const GENERATORS = {
+    projectCards: (portfolio, spec, data) => portfolio.createProjectCards(spec, data.projects || []),
+    skillOrbits: (portfolio, spec, data) => portfolio.createSkillOrbits(spec, data.stackData)
+};
+
+// Values given as a list are cycled per copy of a repeated object
+function pick(value, copy) {
+    return Array.isArray(value) ? value[copy % value.length] : value;
+}
+
+function toVector(values, fallback) {
+    return new THREE.Vector3().fromArray(values || fallback);
+}
 
 export class PortfolioObjects {
-    constructor(scene) {
+    constructor(scene, sections, theme, sceneLoader) {
         this.scene = scene;
-        this.objects = {
-            hero: [],
-            about: [],
-            projects: [],
-            skills: [],
-            contact: []
-        };
+        this.sections = sections;
+        // Materials take palette roles from this theme, see themed()
+        this.theme = theme;
+        // Scene description and glTF models
+        this.sceneLoader = sceneLoader;
+        this.cardTextures = [];
+        // Objects per section id, filled by init()
+        this.objects = {};
+        // Animation mixers of glTF models with clips
+        this.mixers = [];
         this.currentSection = 0;
+        this.reducedMotion = false;
+        this.isDisposed = false;
+    }
+
+    // Builds every section's objects from the loaded data; models load in parallel
+    async init(data = {}) {
+        await Promise.all(this.sections.map(async section => {
+            this.objects[section.id] = section.build
+                ? section.build(this, data) || []
+                : await this.buildSection(this.sceneLoader.section(section.id), data);
+        }));
+
+        // Unmounted while models were loading
+        if (this.isDisposed) this.dispose();
     }
 
-    async createAllSections() {
-        this.createHeroSection();
-        this.createAboutSection();
-        this.createProjectsSection();
-        this.createSkillsSection();
-        this.createContactSection();
+    // Creates a section's objects from its scene description entry and adds them to the scene
+    async buildSection(spec, data) {
+        const objects = (await Promise.all(
+            (spec.objects || []).map(objectSpec => this.createObjects(objectSpec, data))
+        )).flat();
+
+        objects.forEach(object => this.scene.add(object));
+        return objects;
     }
 
-    createHeroSection() {
-        // Central rotating torus
-        const torusGeometry = new THREE.TorusGeometry(3, 0.5, 16, 100);
-        const torusMaterial = new THREE.MeshStandardMaterial({
-            color: 0x00ffff,
-            emissive: 0x00ffff,
-            emissiveIntensity: 0.3,
-            metalness: 0.8,
-            roughness: 0.2
+    async createObjects(spec, data) {
+        if (spec.generator) {
+            const generator = GENERATORS[spec.generator];
+            if (!generator) {
+                throw new Error(`Unknown scene generator "${spec.generator}"`);
+            }
+            return generator(this, spec, data);
+        }
+
+        const count = spec.repeat ? spec.repeat.count : 1;
+        const copies = await Promise.all(
+            Array.from({ length: count }, (_, copy) => this.createObject(spec, copy))
+        );
+        // Models that failed to load are left out
+        return copies.filter(Boolean);
+    }
+
+    async createObject(spec, copy = 0) {
+        const object = spec.model
+            ? await this.createModel(spec.model)
+            : this.createPrimitive(spec, copy);
+        if (!object) return null;
+
+        object.name = spec.name || '';
+        this.place(object, spec, copy);
+        this.animate(object, spec.animations, copy);
+        return object;
+    }
+
+    createPrimitive(spec, copy) {
+        const { type, ...params } = spec.geometry || {};
+        if (!GEOMETRIES[type]) {
+            throw new Error(`Unknown geometry type "${type}"`);
+        }
+
+        const geometry = GEOMETRIES[type](params);
+        const material = this.createMaterial(spec.material, copy);
+        const object = material.isLineBasicMaterial
+            ? new THREE.Line(geometry, material)
+            : new THREE.Mesh(geometry, material);
+
+        // Edge outline that moves with the object
+        if (spec.outline) {
+            const outlineMaterial = this.themed(new THREE.LineBasicMaterial(), { color: pick(spec.outline, copy) });
+            object.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry), outlineMaterial));
+        }
+
+        return object;
+    }
+
+    // Colours are palette roles ('primary', kept in sync with the theme) or fixed CSS colours ('#ff8800')
+    createMaterial({ type = 'standard', color, emissive, side = 'front', ...params } = {}, copy = 0) {
+        if (!MATERIALS[type]) {
+            throw new Error(`Unknown material type "${type}"`);
+        }
+
+        const material = new MATERIALS[type]({ ...params, side: SIDES[side] });
+        const roles = {};
+        Object.entries({ color, emissive }).forEach(([key, value]) => {
+            value = pick(value, copy);
+            if (value === undefined) return;
+
+            if (value in this.theme.palette) {
+                roles[key] = value;
+            } else {
+                material[key].set(value);
+            }
         });
-        const torus = new THREE.Mesh(torusGeometry, torusMaterial);
-        torus.position.set(0, 0, 0);
-        this.scene.add(torus);
-        this.objects.hero.push(torus);
-
-        // Orbiting spheres
-        for (let i = 0; i < 8; i++) {
-            const sphereGeometry = new THREE.SphereGeometry(0.3, 32, 32);
-            const sphereMaterial = new THREE.MeshStandardMaterial({
-                color: i % 2 === 0 ? 0xff00ff : 0x00ff88,
-                emissive: i % 2 === 0 ? 0xff00ff : 0x00ff88,
-                emissiveIntensity: 0.5,
-                metalness: 0.9,
-                roughness: 0.1
-            });
-            const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
 
-            const angle = (i / 8) * Math.PI * 2;
-            const radius = 5;
-            sphere.position.x = Math.cos(angle) * radius;
-            sphere.position.z = Math.sin(angle) * radius;
-            sphere.userData.angle = angle;
-            sphere.userData.radius = radius;
+        return this.themed(material, roles);
+    }
+
+    // A copy of a glTF model; its clips play unless playAnimations is false or a list of clip names
+    async createModel({ url, playAnimations = true }) {
+        let model;
+        try {
+            model = await this.sceneLoader.instantiate(url);
+        } catch (error) {
+            console.warn(`Could not load model ${url}:`, error);
+            return null;
+        }
 
-            this.scene.add(sphere);
-            this.objects.hero.push(sphere);
+        const { object, animations } = model;
+        const clips = Array.isArray(playAnimations)
+            ? animations.filter(clip => playAnimations.includes(clip.name))
+            : playAnimations ? animations : [];
+        if (clips.length) {
+            const mixer = new THREE.AnimationMixer(object);
+            clips.forEach(clip => mixer.clipAction(clip).play());
+            this.mixers.push(mixer);
         }
 
-        // Wireframe pyramid
-        const pyramidGeometry = new THREE.ConeGeometry(2, 4, 4);
-        const wireframeMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ffff,
-            wireframe: true
+        object.userData.model = url;
+        return object;
+    }
+
+    // Position, rotation (degrees) and scale; repeated copies are spread on a circle around the position
+    place(object, spec, copy) {
+        object.position.copy(toVector(spec.position, [0, 0, 0]));
+        object.rotation.setFromVector3(toVector(spec.rotation, [0, 0, 0]).multiplyScalar(THREE.MathUtils.DEG2RAD));
+        if (typeof spec.scale === 'number') {
+            object.scale.setScalar(spec.scale);
+        } else if (spec.scale) {
+            object.scale.fromArray(spec.scale);
+        }
+
+        if (spec.repeat) {
+            const angle = (copy / spec.repeat.count) * Math.PI * 2;
+            object.position.x += Math.cos(angle) * spec.repeat.radius;
+            object.position.z += Math.sin(angle) * spec.repeat.radius;
+        }
+    }
+
+    // Attaches named behaviours (see Behaviours.js); phaseStep offsets each repeated copy
+    animate(object, animations = [], copy = 0) {
+        object.userData.base = {
+            position: object.position.clone(),
+            rotation: object.rotation.clone(),
+            scale: object.scale.clone()
+        };
+
+        object.userData.behaviours = animations.map(({ phaseStep = 0, ...behaviour }) => {
+            if (!BEHAVIOURS[behaviour.type]) {
+                throw new Error(`Unknown animation "${behaviour.type}"`);
+            }
+            return { ...behaviour, phase: (behaviour.phase || 0) + copy * phaseStep };
         });
-        const pyramid = new THREE.Mesh(pyramidGeometry, wireframeMaterial);
-        pyramid.position.set(0, 0, -5);
-        this.scene.add(pyramid);
-        this.objects.hero.push(pyramid);
     }
 
-    createAboutSection() {
-        // Floating cubes representing experience
-        const cubePositions = [
-            { x: -10, y: 2, z: -2 },
-            { x: -8, y: 0, z: 0 },
-            { x: -10, y: -2, z: -2 }
-        ];
-
-        cubePositions.forEach((pos, index) => {
-            const geometry = new THREE.BoxGeometry(1.5, 1.5, 1.5);
-            const edges = new THREE.EdgesGeometry(geometry);
-            const lineMaterial = new THREE.LineBasicMaterial({
-                color: 0x00ffff,
-                linewidth: 2
-            });
-            const cube = new THREE.LineSegments(edges, lineMaterial);
+    getSectionObjects(sectionIndex = this.currentSection) {
+        const section = this.sections.at(sectionIndex);
+        return (section && this.objects[section.id]) || [];
+    }
 
-            // Also add solid cube with transparency
-            const material = new THREE.MeshStandardMaterial({
-                color: 0x00ffff,
-                transparent: true,
-                opacity: 0.3,
-                metalness: 0.5,
-                roughness: 0.5
-            });
-            const solidCube = new THREE.Mesh(geometry, material);
+    // Colours `material` by palette role ({ color: 'primary', emissive: 'accent' }) and keeps them for applyTheme()
+    themed(material, roles) {
+        material.userData.themeColors = roles;
+        this.paint(material);
+        return material;
+    }
+
+    paint(material) {
+        const roles = material.userData.themeColors;
+        if (!roles) return;
 
-            cube.position.set(pos.x, pos.y, pos.z);
-            solidCube.position.set(pos.x, pos.y, pos.z);
+        if (roles.color) material.color.setHex(this.theme.palette[roles.color]);
+        if (roles.emissive) material.emissive.setHex(this.theme.palette[roles.emissive]);
+    }
 
-            cube.userData.floatOffset = index * 0.5;
-            solidCube.userData.floatOffset = index * 0.5;
+    applyTheme(theme, { partial = false } = {}) {
+        this.theme = theme;
 
-            this.scene.add(cube);
-            this.scene.add(solidCube);
-            this.objects.about.push(cube, solidCube);
+        Object.values(this.objects).flat().forEach(root => {
+            root.traverse(obj => {
+                if (obj.material) this.paint(obj.material);
+            });
         });
 
-        // DNA-like helix
-        const helixPoints = [];
-        for (let i = 0; i < 100; i++) {
-            const t = i / 100;
-            const angle = t * Math.PI * 4;
-            const x = -6 + Math.cos(angle) * 1;
-            const y = (t - 0.5) * 6;
-            const z = Math.sin(angle) * 1;
-            helixPoints.push(new THREE.Vector3(x, y, z));
+        // Card canvases are redrawn once, when a switch has settled
+        if (!partial) {
+            this.cardTextures.forEach(({ cardTexture, role }) => cardTexture.setColors(this.cardColors(role)));
         }
+    }
 
-        const helixGeometry = new THREE.BufferGeometry().setFromPoints(helixPoints);
-        const helixMaterial = new THREE.LineBasicMaterial({
-            color: 0xff00ff,
-            linewidth: 2
-        });
-        const helix = new THREE.Line(helixGeometry, helixMaterial);
-        this.scene.add(helix);
-        this.objects.about.push(helix);
+    cardColors(role) {
+        return {
+            accent: this.theme.palette[role],
+            background: this.theme.palette.surface,
+            text: this.theme.palette.text
+        };
     }
 
-    createProjectsSection() {
-        // Project cards as 3D planes
-        const cardPositions = [
-            { x: 6, y: 2, z: -2 },
-            { x: 8, y: 0, z: 0 },
-            { x: 6, y: -2, z: -2 }
-        ];
+    // One textured card per project, laid out in a grid of up to `columns` columns
+    createProjectCards(spec, projects) {
+        const objects = [];
+        const {
+            center = [0, 0, 0],
+            spacing = [2.9, 1.9],
+            colors = ['primary'],
+            network
+        } = spec;
+        const columns = Math.min(spec.columns || 3, Math.ceil(Math.sqrt(projects.length)));
+        const rows = Math.ceil(projects.length / Math.max(1, columns));
+
+        const cardPositions = projects.map((project, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            return new THREE.Vector3(
+                center[0] + (column - (columns - 1) / 2) * spacing[0],
+                center[1] + ((rows - 1) / 2 - row) * spacing[1],
+                // Outer columns sit further back, like the original fan of cards
+                center[2] - Math.abs(column - (columns - 1) / 2) * 1.5
+            );
+        });
+
+        projects.forEach((project, index) => {
+            const role = pick(colors, index);
+            const cardTexture = new ProjectCardTexture(project, this.cardColors(role));
+            this.cardTextures.push({ cardTexture, role });
 
-        cardPositions.forEach((pos, index) => {
             const geometry = new THREE.PlaneGeometry(2.5, 1.5);
             const material = new THREE.MeshStandardMaterial({
-                color: index === 0 ? 0x00ffff : index === 1 ? 0xff00ff : 0x00ff88,
-                emissive: index === 0 ? 0x00ffff : index === 1 ? 0xff00ff : 0x00ff88,
-                emissiveIntensity: 0.2,
+                color: 0xffffff,
+                map: cardTexture.texture,
+                emissive: 0xffffff,
+                emissiveMap: cardTexture.texture,
+                emissiveIntensity: 0.4,
                 side: THREE.DoubleSide,
                 metalness: 0.3,
                 roughness: 0.7
             });
             const card = new THREE.Mesh(geometry, material);
-            card.position.set(pos.x, pos.y, pos.z);
-            card.rotation.y = -Math.PI / 6;
-            card.userData.hoverY = pos.y;
+            this.place(card, { rotation: spec.rotation }, index);
+            card.position.copy(cardPositions[index]);
+            card.userData.project = project;
 
             // Add frame
-            const frameGeometry = new THREE.EdgesGeometry(geometry);
-            const frameMaterial = new THREE.LineBasicMaterial({
-                color: 0xffffff,
-                linewidth: 2
-            });
-            const frame = new THREE.LineSegments(frameGeometry, frameMaterial);
-            frame.position.copy(card.position);
-            frame.rotation.copy(card.rotation);
+            const frameMaterial = this.themed(new THREE.LineBasicMaterial(), { color: role });
+            card.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry), frameMaterial));
 
-            this.scene.add(card);
-            this.scene.add(frame);
-            this.objects.projects.push(card, frame);
+            this.animate(card, spec.animations, index);
+            objects.push(card);
         });
 
-        // Connecting network lines
-        const networkGeometry = new THREE.BufferGeometry();
-        const networkPositions = [];
+        if (!network || cardPositions.length < 2) return objects;
 
-        for (let i = 0; i < cardPositions.length - 1; i++) {
-            networkPositions.push(
-                cardPositions[i].x, cardPositions[i].y, cardPositions[i].z,
-                cardPositions[i + 1].x, cardPositions[i + 1].y, cardPositions[i + 1].z
-            );
-        }
-
-        networkGeometry.setAttribute(
-            'position',
-            new THREE.Float32BufferAttribute(networkPositions, 3)
+        // Connecting network lines
+        const networkGeometry = new THREE.BufferGeometry().setFromPoints(
+            cardPositions.slice(1).flatMap((position, i) => [cardPositions[i], position])
         );
-        const networkMaterial = new THREE.LineBasicMaterial({
-            color: 0x00ff88,
+        const networkMaterial = this.themed(new THREE.LineBasicMaterial({
             opacity: 0.5,
             transparent: true
-        });
-        const network = new THREE.LineSegments(networkGeometry, networkMaterial);
-        this.scene.add(network);
-        this.objects.projects.push(network);
+        }), { color: network });
+        const networkLines = new THREE.LineSegments(networkGeometry, networkMaterial);
+        this.animate(networkLines);
+        objects.push(networkLines);
+
+        return objects;
     }
 
-    createSkillsSection() {
-        // Skill orbs in orbital pattern
-        const skillColors = [0x00ffff, 0xff00ff, 0x00ff88];
-        const orbits = 3;
-
-        for (let orbit = 0; orbit < orbits; orbit++) {
-            const radius = 3 + orbit * 1.5;
-            const count = 4 + orbit * 2;
-
-            for (let i = 0; i < count; i++) {
-                const angle = (i / count) * Math.PI * 2;
-                const geometry = new THREE.IcosahedronGeometry(0.3, 0);
-                const material = new THREE.MeshStandardMaterial({
-                    color: skillColors[orbit],
-                    emissive: skillColors[orbit],
+    // One orbit per stack category around `center`, one orb per technology
+    createSkillOrbits(spec, stackData) {
+        const objects = [];
+        const {
+            center = [0, 0, 0],
+            radius = 3,
+            radiusStep = 1.5,
+            maxOrbits = 5,
+            maxPerOrbit = 12,
+            speed = 0.5,
+            speedStep = 0.2,
+            tilt = 0.5,
+            colors = ['primary'],
+            animations = []
+        } = spec;
+        const categories = stackData ? stackData.categories.slice(0, maxOrbits) : [];
+        const maxScore = stackData ? stackData.maxScore : 1;
+
+        categories.forEach((category, orbit) => {
+            const orbitRadius = radius + orbit * radiusStep;
+            const technologies = category.technologies.slice(0, maxPerOrbit);
+            const role = pick(colors, orbit);
+
+            technologies.forEach((tech, i) => {
+                const angle = (i / technologies.length) * Math.PI * 2;
+                // Orb size scales with the technology's score
+                const size = 0.2 + 0.3 * (tech.score / maxScore);
+                const geometry = new THREE.IcosahedronGeometry(size, 0);
+                const material = this.themed(new THREE.MeshStandardMaterial({
                     emissiveIntensity: 0.5,
                     metalness: 0.8,
                     roughness: 0.2
-                });
+                }), { color: role, emissive: role });
                 const orb = new THREE.Mesh(geometry, material);
 
-                orb.position.x = Math.cos(angle) * radius;
-                orb.position.y = 3 + Math.sin(angle) * 0.5;
-                orb.position.z = Math.sin(angle) * radius;
-
-                orb.userData.angle = angle;
-                orb.userData.radius = radius;
-                orb.userData.orbit = orbit;
-                orb.userData.speed = 0.5 + orbit * 0.2;
-
-                this.scene.add(orb);
-                this.objects.skills.push(orb);
-            }
-        }
-
-        // Central skill core
-        const coreGeometry = new THREE.OctahedronGeometry(1.5, 2);
-        const coreMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffffff,
-            emissive: 0x00ffff,
-            emissiveIntensity: 0.5,
-            metalness: 0.9,
-            roughness: 0.1,
-            wireframe: true
-        });
-        const core = new THREE.Mesh(coreGeometry, coreMaterial);
-        core.position.y = 3;
-        this.scene.add(core);
-        this.objects.skills.push(core);
-    }
-
-    createContactSection() {
-        // Communication waves
-        for (let i = 0; i < 5; i++) {
-            const geometry = new THREE.TorusGeometry(1 + i * 0.8, 0.05, 16, 100);
-            const material = new THREE.MeshBasicMaterial({
-                color: 0x00ffff,
-                transparent: true,
-                opacity: 0.6 - i * 0.1
+                orb.position.set(
+                    center[0] + Math.cos(angle) * orbitRadius,
+                    center[1] + Math.sin(angle) * tilt,
+                    center[2] + Math.sin(angle) * orbitRadius
+                );
+                orb.userData.technology = tech;
+
+                this.animate(orb, [
+                    { type: 'orbit', speed: speed + orbit * speedStep, center: [center[0], center[2]] },
+                    ...animations
+                ]);
+                objects.push(orb);
             });
-            const ring = new THREE.Mesh(geometry, material);
-            ring.position.set(0, -3, 0);
-            ring.rotation.x = Math.PI / 2;
-            ring.userData.delay = i * 0.2;
-            ring.userData.initialScale = 1;
-
-            this.scene.add(ring);
-            this.objects.contact.push(ring);
-        }
-
-        // Message icon (envelope shape)
-        const envelopeGeometry = new THREE.BoxGeometry(2, 1.5, 0.1);
-        const envelopeMaterial = new THREE.MeshStandardMaterial({
-            color: 0xff00ff,
-            emissive: 0xff00ff,
-            emissiveIntensity: 0.3,
-            metalness: 0.5,
-            roughness: 0.5
         });
-        const envelope = new THREE.Mesh(envelopeGeometry, envelopeMaterial);
-        envelope.position.set(0, -3, 0);
-        this.scene.add(envelope);
-        this.objects.contact.push(envelope);
+
+        return objects;
     }
 
-    updateActiveSection(sectionIndex) {
+    updateActiveSection(sectionIndex, { immediate = false } = {}) {
         this.currentSection = sectionIndex;
 
+        // Deep links and reduced motion skip the scale animation
+        if (immediate || this.reducedMotion) {
+            const currentObjects = new Set(this.getSectionObjects(sectionIndex));
+            Object.values(this.objects).flat().forEach(obj => {
+                gsap.killTweensOf(obj.scale);
+                if (currentObjects.has(obj)) {
+                    obj.scale.copy(this.baseScale(obj));
+                } else {
+                    obj.scale.setScalar(0);
+                }
+            });
+            return;
+        }
+
         // Hide all objects
         Object.values(this.objects).flat().forEach(obj => {
             gsap.to(obj.scale, {
@@ -299,14 +425,11 @@ export class PortfolioObjects {
         });
 
         // Show current section objects
-        const sectionNames = ['hero', 'about', 'projects', 'skills', 'contact'];
-        const currentObjects = this.objects[sectionNames[sectionIndex]];
+        const currentObjects = this.getSectionObjects(sectionIndex);
 
         currentObjects.forEach((obj, index) => {
             gsap.to(obj.scale, {
-                x: 1,
-                y: 1,
-                z: 1,
+                ...this.baseScale(obj),
                 duration: 0.5,
                 delay: index * 0.05,
                 ease: 'back.out(1.7)'
@@ -314,78 +437,42 @@ export class PortfolioObjects {
         });
     }
 
+    // Scale an object is shown at, as authored in the scene description
+    baseScale(obj) {
+        const { x, y, z } = obj.userData.base ? obj.userData.base.scale : { x: 1, y: 1, z: 1 };
+        return { x, y, z };
+    }
+
     update(elapsedTime, deltaTime) {
-        // Hero section animations
-        this.objects.hero.forEach((obj, index) => {
-            if (index === 0) {
-                // Rotate main torus
-                obj.rotation.x = elapsedTime * 0.3;
-                obj.rotation.y = elapsedTime * 0.5;
-            } else if (index <= 8) {
-                // Orbit spheres
-                const angle = obj.userData.angle + elapsedTime * 0.5;
-                obj.position.x = Math.cos(angle) * obj.userData.radius;
-                obj.position.z = Math.sin(angle) * obj.userData.radius;
-                obj.position.y = Math.sin(elapsedTime * 0.5 + index) * 0.5;
-            } else {
-                // Rotate pyramid
-                obj.rotation.y = elapsedTime * 0.3;
-            }
-        });
+        Object.values(this.objects).flat().forEach(obj => runBehaviours(obj, elapsedTime));
+        this.mixers.forEach(mixer => mixer.update(deltaTime));
 
-        // About section animations
-        this.objects.about.forEach(obj => {
-            if (obj.userData.floatOffset !== undefined) {
-                obj.position.y += Math.sin(elapsedTime * 2 + obj.userData.floatOffset) * 0.002;
-                obj.rotation.x = elapsedTime * 0.5;
-                obj.rotation.y = elapsedTime * 0.3;
-            } else {
-                obj.rotation.z = elapsedTime * 0.2;
+        // Sections with their own build() animate themselves
+        this.sections.forEach(section => {
+            if (section.update) {
+                section.update(this, this.objects[section.id], elapsedTime, deltaTime);
             }
         });
+    }
 
-        // Projects section animations
-        this.objects.projects.forEach(obj => {
-            if (obj.userData.hoverY !== undefined) {
-                obj.position.y = obj.userData.hoverY + Math.sin(elapsedTime * 2) * 0.1;
-            }
-        });
+    dispose() {
+        this.isDisposed = true;
 
-        // Skills section animations
-        this.objects.skills.forEach(obj => {
-            if (obj.userData.orbit !== undefined) {
-                const angle = obj.userData.angle + elapsedTime * obj.userData.speed;
-                obj.position.x = Math.cos(angle) * obj.userData.radius;
-                obj.position.z = Math.sin(angle) * obj.userData.radius;
-                obj.rotation.y = elapsedTime * 2;
-            } else {
-                obj.rotation.x = elapsedTime * 0.5;
-                obj.rotation.y = elapsedTime * 0.7;
-            }
+        this.mixers.forEach(mixer => {
+            mixer.stopAllAction();
+            mixer.uncacheRoot(mixer.getRoot());
         });
+        this.mixers = [];
 
-        // Contact section animations
-        this.objects.contact.forEach((obj, index) => {
-            if (obj.userData.delay !== undefined) {
-                const scale = 1 + Math.sin(elapsedTime * 2 - obj.userData.delay) * 0.2;
-                obj.scale.set(scale, scale, scale);
-            } else {
-                obj.rotation.y = Math.sin(elapsedTime) * 0.2;
-                obj.position.y = -3 + Math.sin(elapsedTime * 2) * 0.1;
-            }
-        });
-    }
+        Object.values(this.objects).flat().forEach(root => {
+            gsap.killTweensOf(root.scale);
+            this.scene.remove(root);
 
-    dispose() {
-        Object.values(this.objects).flat().forEach(obj => {
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) {
-                if (Array.isArray(obj.material)) {
-                    obj.material.forEach(mat => mat.dispose());
-                } else {
-                    obj.material.dispose();
-                }
-            }
+            // Card canvases and glTF textures included
+            disposeObject(root);
         });
+
+        this.objects = {};
+        this.cardTextures = [];
     }
 }
@@ -0,0 +1,192 @@
+/**
+ * QualityManager - Steps rendering quality up and down from measured frame times
+ * Presets trade pixel ratio, shadow map size, bloom and star/particle counts.
+ * Hysteresis: a downgrade needs several slow samples in a row, an upgrade many
+ * more fast ones, and each change is followed by a cool-down. Upgrades that get
+ * undone straight away make the next upgrade wait twice as long.
+ */
+
+export const QUALITY_PRESETS = [
+    { name: 'low', label: 'Low', pixelRatio: 1, shadows: false, shadowMapSize: 512, bloom: false, stars: 2000, particles: 1000 },
+    { name: 'medium', label: 'Medium', pixelRatio: 1.5, shadows: true, shadowMapSize: 1024, bloom: true, stars: 5000, particles: 2500 },
+    { name: 'high', label: 'High', pixelRatio: 2, shadows: true, shadowMapSize: 2048, bloom: true, stars: 10000, particles: 5000 }
+];
+
+const STORAGE_KEY = 'portfolio-quality';
+
+export class QualityManager {
+    constructor(
+        { renderer, composer, bloomPass, shadowLight, sceneManager },
+        { mode = null, lowFps = 45, highFps = 58, downgradeAfter = 3, upgradeAfter = 10, cooldown = 3 } = {}
+    ) {
+        this.renderer = renderer;
+        this.composer = composer;
+        this.bloomPass = bloomPass;
+        this.shadowLight = shadowLight;
+        this.sceneManager = sceneManager;
+
+        this.lowFps = lowFps;
+        this.highFps = highFps;
+        this.downgradeAfter = downgradeAfter;   // slow samples in a row
+        this.upgradeAfter = upgradeAfter;       // fast samples in a row
+        this.cooldown = cooldown;               // samples ignored after a change
+
+        this.level = QUALITY_PRESETS.length - 1;
+        // An explicit mode wins over the visitor's saved choice
+        this.mode = this.validMode(mode || this.loadMode());
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.cooldownSamples = 0;
+        this.upgradeBackoff = 1;
+        this.lastChange = null;
+        this.control = null;
+        this.abortController = null;
+    }
+
+    init() {
+        // One signal removes every listener in dispose()
+        this.abortController = new AbortController();
+        this.applyPreset(this.mode === 'auto' ? this.level : this.indexOf(this.mode));
+    }
+
+    get preset() {
+        return QUALITY_PRESETS[this.level];
+    }
+
+    validMode(mode) {
+        return mode === 'auto' || QUALITY_PRESETS.some(preset => preset.name === mode) ? mode : 'auto';
+    }
+
+    indexOf(name) {
+        const index = QUALITY_PRESETS.findIndex(preset => preset.name === name);
+        return index === -1 ? QUALITY_PRESETS.length - 1 : index;
+    }
+
+    // Feed one PerformanceMonitor sample ({ fps, ms })
+    sample({ fps }) {
+        if (this.mode !== 'auto' || document.hidden) return;
+
+        if (this.cooldownSamples > 0) {
+            this.cooldownSamples--;
+            return;
+        }
+
+        if (fps < this.lowFps) {
+            this.slowSamples++;
+            this.fastSamples = 0;
+        } else if (fps >= this.highFps) {
+            this.fastSamples++;
+            this.slowSamples = 0;
+        } else {
+            this.slowSamples = 0;
+            this.fastSamples = 0;
+        }
+
+        if (this.slowSamples >= this.downgradeAfter && this.level > 0) {
+            // An upgrade that didn't hold makes the next one wait longer
+            if (this.lastChange === 'up') this.upgradeBackoff *= 2;
+            this.changeLevel(this.level - 1, 'down');
+        } else if (this.fastSamples >= this.upgradeAfter * this.upgradeBackoff && this.level < QUALITY_PRESETS.length - 1) {
+            this.changeLevel(this.level + 1, 'up');
+        }
+    }
+
+    changeLevel(level, direction) {
+        this.applyPreset(level);
+        this.lastChange = direction;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.cooldownSamples = this.cooldown;
+    }
+
+    applyPreset(level) {
+        this.level = level;
+        const preset = this.preset;
+
+        const pixelRatio = Math.min(window.devicePixelRatio, preset.pixelRatio);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.composer.setPixelRatio(pixelRatio);
+
+        this.bloomPass.enabled = preset.bloom;
+
+        this.shadowLight.castShadow = preset.shadows;
+        if (this.shadowLight.shadow.mapSize.width !== preset.shadowMapSize) {
+            this.shadowLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+            // The shadow map is re-created at the new size on the next render
+            if (this.shadowLight.shadow.map) {
+                this.shadowLight.shadow.map.dispose();
+                this.shadowLight.shadow.map = null;
+            }
+        }
+
+        this.sceneManager.setPointCounts(preset);
+        this.updateControl();
+    }
+
+    // 'auto' or a preset name; manual choices pin the preset
+    setMode(mode) {
+        this.mode = this.validMode(mode);
+        this.saveMode();
+
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.upgradeBackoff = 1;
+        this.lastChange = null;
+
+        if (this.mode !== 'auto') {
+            this.applyPreset(this.indexOf(this.mode));
+        } else {
+            this.updateControl();
+        }
+    }
+
+    // Fills a <select> with Auto plus the presets and keeps it in sync
+    bindControl(select) {
+        this.control = select;
+        select.innerHTML = '';
+
+        [{ name: 'auto', label: 'Auto' }, ...[...QUALITY_PRESETS].reverse()].forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.label;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => this.setMode(select.value), {
+            signal: this.abortController.signal
+        });
+        this.updateControl();
+    }
+
+    updateControl() {
+        if (!this.control) return;
+
+        this.control.value = this.mode;
+        // Auto shows the preset it is currently on
+        this.control.options[0].textContent = this.mode === 'auto' ? `Auto (${this.preset.label})` : 'Auto';
+    }
+
+    loadMode() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY) || 'auto';
+        } catch (error) {
+            return 'auto';
+        }
+    }
+
+    saveMode() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, this.mode);
+        } catch (error) {
+            // Storage can be unavailable (private mode); the choice lasts for this visit
+        }
+    }
+
+    dispose() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        this.control = null;
+    }
+}
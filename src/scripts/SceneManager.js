@@ -5,12 +5,21 @@
 
 import * as THREE from 'three';
 
+// Particle colours, by palette role
+const PARTICLE_ROLES = ['primary', 'secondary', 'accent'];
+
 export class SceneManager {
-    constructor(scene) {
+    constructor(scene, theme) {
         this.scene = scene;
+        this.theme = theme;
         this.particleSystem = null;
         this.stars = null;
+        this.gridHelper = null;
+        this.maxStars = 10000;
+        this.maxParticles = 5000;
+    }
 
+    init() {
         this.createEnvironment();
     }
 
@@ -23,7 +32,7 @@ export class SceneManager {
     createStarfield() {
         const starsGeometry = new THREE.BufferGeometry();
         const starsMaterial = new THREE.PointsMaterial({
-            color: 0xffffff,
+            color: this.theme.palette.neutral,
             size: 0.1,
             transparent: true,
             opacity: 0.8,
@@ -32,7 +41,7 @@ export class SceneManager {
         });
 
         const starsVertices = [];
-        for (let i = 0; i < 10000; i++) {
+        for (let i = 0; i < this.maxStars; i++) {
             const x = (Math.random() - 0.5) * 2000;
             const y = (Math.random() - 0.5) * 2000;
             const z = (Math.random() - 0.5) * 2000;
@@ -50,32 +59,21 @@ export class SceneManager {
 
     createParticles() {
         const particlesGeometry = new THREE.BufferGeometry();
-        const particlesCnt = 5000;
+        const particlesCnt = this.maxParticles;
 
         const posArray = new Float32Array(particlesCnt * 3);
         const colorArray = new Float32Array(particlesCnt * 3);
+        // Which palette colour each particle takes, so theme switches can repaint them
+        this.particleRoles = new Uint8Array(particlesCnt);
 
-        for (let i = 0; i < particlesCnt * 3; i += 3) {
+        for (let i = 0; i < particlesCnt; i++) {
             // Position
-            posArray[i] = (Math.random() - 0.5) * 100;
-            posArray[i + 1] = (Math.random() - 0.5) * 100;
-            posArray[i + 2] = (Math.random() - 0.5) * 100;
-
-            // Color - mix of cyan, magenta, and green
-            const colorChoice = Math.random();
-            if (colorChoice < 0.33) {
-                colorArray[i] = 0;
-                colorArray[i + 1] = 1;
-                colorArray[i + 2] = 1;
-            } else if (colorChoice < 0.66) {
-                colorArray[i] = 1;
-                colorArray[i + 1] = 0;
-                colorArray[i + 2] = 1;
-            } else {
-                colorArray[i] = 0;
-                colorArray[i + 1] = 1;
-                colorArray[i + 2] = 0.5;
-            }
+            posArray[i * 3] = (Math.random() - 0.5) * 100;
+            posArray[i * 3 + 1] = (Math.random() - 0.5) * 100;
+            posArray[i * 3 + 2] = (Math.random() - 0.5) * 100;
+
+            // Color - even mix of the primary, secondary and accent colours
+            this.particleRoles[i] = Math.floor(Math.random() * PARTICLE_ROLES.length);
         }
 
         particlesGeometry.setAttribute(
@@ -98,14 +96,61 @@ export class SceneManager {
 
         this.particleSystem = new THREE.Points(particlesGeometry, particlesMaterial);
         this.scene.add(this.particleSystem);
+        this.paintParticles();
+    }
+
+    paintParticles() {
+        const colors = this.particleSystem.geometry.attributes.color;
+        const palette = PARTICLE_ROLES.map(role => new THREE.Color(this.theme.palette[role]));
+
+        this.particleRoles.forEach((role, i) => {
+            palette[role].toArray(colors.array, i * 3);
+        });
+        colors.needsUpdate = true;
     }
 
     createGridHelper() {
-        const gridHelper = new THREE.GridHelper(100, 50, 0x00ffff, 0x444444);
+        const gridHelper = new THREE.GridHelper(100, 50, this.theme.palette.primary, this.theme.palette.grid);
         gridHelper.position.y = -5;
         gridHelper.material.opacity = 0.2;
         gridHelper.material.transparent = true;
         this.scene.add(gridHelper);
+        this.gridHelper = gridHelper;
+    }
+
+    // Same layout as GridHelper: four vertices per line pair, the middle pair is the centre line
+    paintGrid() {
+        const colors = this.gridHelper.geometry.attributes.color;
+        const divisions = colors.count / 4 - 1;
+        const center = new THREE.Color(this.theme.palette.primary);
+        const grid = new THREE.Color(this.theme.palette.grid);
+
+        for (let i = 0; i <= divisions; i++) {
+            const color = i === divisions / 2 ? center : grid;
+            for (let vertex = 0; vertex < 4; vertex++) {
+                color.toArray(colors.array, (i * 4 + vertex) * 3);
+            }
+        }
+        colors.needsUpdate = true;
+    }
+
+    applyTheme(theme) {
+        this.theme = theme;
+        if (!this.stars) return;
+
+        this.stars.material.color.setHex(theme.palette.neutral);
+        this.paintParticles();
+        this.paintGrid();
+    }
+
+    // Draws only the first `stars` / `particles` points (quality presets)
+    setPointCounts({ stars, particles }) {
+        if (this.stars) {
+            this.stars.geometry.setDrawRange(0, Math.min(stars, this.maxStars));
+        }
+        if (this.particleSystem) {
+            this.particleSystem.geometry.setDrawRange(0, Math.min(particles, this.maxParticles));
+        }
     }
 
     update(elapsedTime) {
@@ -123,13 +168,15 @@ export class SceneManager {
 
     dispose() {
         // Clean up geometries and materials
-        if (this.stars) {
-            this.stars.geometry.dispose();
-            this.stars.material.dispose();
-        }
-        if (this.particleSystem) {
-            this.particleSystem.geometry.dispose();
-            this.particleSystem.material.dispose();
-        }
+        [this.stars, this.particleSystem, this.gridHelper].forEach(object => {
+            if (!object) return;
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+
+        this.stars = null;
+        this.particleSystem = null;
+        this.gridHelper = null;
     }
 }
@@ -0,0 +1,50 @@
+/**
+ * SectionRegistry - Ordered list of portfolio sections
+ * Nav links, content overlays, camera poses, 3D objects and scroll limits all derive from it
+ */
+
+export class SectionRegistry {
+    constructor(sections) {
+        const ids = new Set();
+
+        sections.forEach((section, index) => {
+            if (!section.id) {
+                throw new Error(`Section ${index} is missing an id`);
+            }
+            if (ids.has(section.id)) {
+                throw new Error(`Duplicate section id "${section.id}"`);
+            }
+            if (!section.camera) {
+                throw new Error(`Section "${section.id}" is missing a camera pose`);
+            }
+            ids.add(section.id);
+        });
+
+        this.sections = sections;
+    }
+
+    get length() {
+        return this.sections.length;
+    }
+
+    get ids() {
+        return this.sections.map(section => section.id);
+    }
+
+    at(index) {
+        return this.sections[index] || null;
+    }
+
+    // Index of the section with `id`, or -1
+    indexOf(id) {
+        return this.sections.findIndex(section => section.id === id);
+    }
+
+    forEach(callback) {
+        this.sections.forEach(callback);
+    }
+
+    map(callback) {
+        return this.sections.map(callback);
+    }
+}
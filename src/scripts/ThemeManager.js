@@ -0,0 +1,239 @@
+/**
+ * ThemeManager - Applies a theme (src/config/themes.js) to the scene, lights, bloom
+ * and the page's CSS custom properties. Switching themes tweens every colour and
+ * number from what is on screen to the new theme.
+ */
+
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { THEMES, DEFAULT_THEME, resolveTheme } from '../config/themes.js';
+
+const STORAGE_KEY = 'portfolio-theme';
+
+// CSS colour variables by palette role; each also gets an `-rgb` twin for rgba()
+const CSS_COLORS = {
+    primary: '--primary-color',
+    secondary: '--secondary-color',
+    accent: '--accent-color',
+    text: '--text-color',
+    surface: '--surface-color'
+};
+
+function cssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+function cssRgb(hex) {
+    return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255].join(', ');
+}
+
+function mixColor(from, to, t) {
+    if (from === to) return to;
+    return new THREE.Color(from).lerp(new THREE.Color(to), t).getHex();
+}
+
+// The theme `t` of the way from `from` to `to`
+function mixThemes(from, to, t) {
+    const mix = (a, b) => a + (b - a) * t;
+
+    const palette = {};
+    Object.entries(to.palette).forEach(([role, color]) => {
+        palette[role] = mixColor(from.palette[role] ?? color, color, t);
+    });
+
+    const lights = {};
+    Object.entries(to.lights).forEach(([name, light]) => {
+        const start = from.lights[name] || light;
+        lights[name] = {
+            color: mixColor(start.color, light.color, t),
+            intensity: mix(start.intensity, light.intensity)
+        };
+    });
+
+    return {
+        ...to,
+        palette,
+        lights,
+        background: mixColor(from.background, to.background, t),
+        fogDensity: mix(from.fogDensity, to.fogDensity),
+        exposure: mix(from.exposure, to.exposure),
+        bloom: {
+            strength: mix(from.bloom.strength, to.bloom.strength),
+            radius: mix(from.bloom.radius, to.bloom.radius),
+            threshold: mix(from.bloom.threshold, to.bloom.threshold)
+        }
+    };
+}
+
+export class ThemeManager {
+    constructor(root, { theme = null, duration = 0.6 } = {}) {
+        // Element that receives the CSS custom properties
+        this.root = root;
+        this.duration = duration;
+        this.reducedMotion = false;
+
+        // Filled by attach() once the scene exists; without WebGL only CSS is themed
+        this.scene = null;
+        this.renderer = null;
+        this.bloomPass = null;
+        this.lights = {};
+        this.targets = [];
+
+        // An explicit theme wins over the visitor's saved choice
+        this.theme = resolveTheme(theme || this.loadTheme());
+        this.current = null;
+        this.tween = null;
+        this.control = null;
+        this.abortController = null;
+    }
+
+    init() {
+        // One signal removes every listener in dispose()
+        this.abortController = new AbortController();
+        this.apply(this.theme);
+    }
+
+    /**
+     * Scene parts to theme. Targets implement applyTheme(theme, { partial }), where
+     * `partial` marks in-between frames of a switch.
+     */
+    attach({ scene, renderer, bloomPass, lights = {}, targets = [] }) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.bloomPass = bloomPass;
+        this.lights = lights;
+        this.targets = targets;
+
+        this.apply(this.current || this.theme);
+    }
+
+    // Preset name or theme object; tweens from the colours currently shown
+    setTheme(theme, { duration = this.duration } = {}) {
+        const from = this.current;
+        const to = resolveTheme(theme);
+
+        if (this.tween) this.tween.kill();
+        this.theme = to;
+
+        if (!from || this.reducedMotion || duration <= 0) {
+            this.apply(to);
+            return;
+        }
+
+        const progress = { t: 0 };
+        this.tween = gsap.to(progress, {
+            t: 1,
+            duration,
+            ease: 'power1.inOut',
+            onUpdate: () => this.apply(mixThemes(from, to, progress.t), { partial: true }),
+            onComplete: () => {
+                this.tween = null;
+                this.apply(to);
+            }
+        });
+    }
+
+    apply(theme, { partial = false } = {}) {
+        this.current = theme;
+
+        if (this.scene) {
+            this.scene.background.setHex(theme.background);
+            this.scene.fog.color.setHex(theme.background);
+            this.scene.fog.density = theme.fogDensity;
+        }
+        if (this.renderer) {
+            this.renderer.toneMappingExposure = theme.exposure;
+        }
+        if (this.bloomPass) {
+            this.bloomPass.strength = theme.bloom.strength;
+            this.bloomPass.radius = theme.bloom.radius;
+            this.bloomPass.threshold = theme.bloom.threshold;
+        }
+
+        Object.entries(this.lights).forEach(([name, light]) => {
+            const values = theme.lights[name];
+            if (!values) return;
+            light.color.setHex(values.color);
+            light.intensity = values.intensity;
+        });
+
+        this.applyCss(theme);
+        this.targets.forEach(target => target.applyTheme(theme, { partial }));
+
+        if (!partial) this.updateControl();
+    }
+
+    applyCss(theme) {
+        const style = this.root.style;
+
+        Object.entries(CSS_COLORS).forEach(([role, property]) => {
+            style.setProperty(property, cssColor(theme.palette[role]));
+            style.setProperty(property.replace(/-color$/, '-rgb'), cssRgb(theme.palette[role]));
+        });
+        style.setProperty('--bg-color', cssColor(theme.background));
+        style.setProperty('--bg-rgb', cssRgb(theme.background));
+    }
+
+    // Fills a <select> with the presets and keeps it in sync
+    bindControl(select) {
+        this.control = select;
+        select.innerHTML = '';
+
+        Object.values(THEMES).forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.name;
+            option.textContent = theme.label;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => {
+            this.setTheme(select.value);
+            this.saveTheme(select.value);
+        }, { signal: this.abortController.signal });
+        this.updateControl();
+    }
+
+    updateControl() {
+        if (!this.control) return;
+
+        // Custom themes leave the control on whatever preset it showed
+        if (THEMES[this.theme.name]) this.control.value = this.theme.name;
+    }
+
+    loadTheme() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY) || DEFAULT_THEME;
+        } catch (error) {
+            return DEFAULT_THEME;
+        }
+    }
+
+    saveTheme(name) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, name);
+        } catch (error) {
+            // Storage can be unavailable (private mode); the choice lasts for this visit
+        }
+    }
+
+    dispose() {
+        if (this.tween) this.tween.kill();
+        this.tween = null;
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        // The page falls back to the stylesheet's colours
+        Object.values(CSS_COLORS).forEach(property => {
+            this.root.style.removeProperty(property);
+            this.root.style.removeProperty(property.replace(/-color$/, '-rgb'));
+        });
+        this.root.style.removeProperty('--bg-color');
+        this.root.style.removeProperty('--bg-rgb');
+
+        this.control = null;
+        this.targets = [];
+        this.lights = {};
+    }
+}
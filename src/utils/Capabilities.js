@@ -0,0 +1,38 @@
+/**
+ * Capabilities - Feature and preference detection used to pick the experience
+ * WebGL support decides between the 3D scene and the static HTML fallback;
+ * prefers-reduced-motion switches camera flights to cuts and freezes ambient animation
+ */
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export class Capabilities {
+    static hasWebGL() {
+        try {
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('webgl2') || canvas.getContext('webgl');
+            if (!context) return false;
+
+            // Release the probe context straight away
+            const loseContext = context.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches);
+    }
+
+    // Calls `callback(reduced)` whenever the preference changes; returns an unsubscribe function
+    static onReducedMotionChange(callback) {
+        if (!window.matchMedia) return () => {};
+
+        const query = window.matchMedia(REDUCED_MOTION_QUERY);
+        const listener = event => callback(event.matches);
+        query.addEventListener('change', listener);
+        return () => query.removeEventListener('change', listener);
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * Disposal - Frees the GPU resources held by an object tree
+ * Geometries, materials and every texture a material references (map, normalMap,
+ * roughnessMap, emissiveMap, ...), so glTF PBR materials don't leave textures behind.
+ */
+
+export function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose();
+    });
+    material.dispose();
+}
+
+export function disposeObject(root) {
+    root.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(disposeMaterial);
+        }
+    });
+}
@@ -0,0 +1,123 @@
+/**
+ * FrameScheduler - Renders on demand instead of a permanent 60 fps loop
+ *   active  - every animation frame, for `activeDuration` ms after input or while isBusy() (e.g. a tween runs)
+ *   idle    - throttled to `idleFps` for ambient animation; `idleFps: 0` stops until the next wake()
+ *   paused  - nothing at all while any pause reason is set (hidden tab, canvas off-screen)
+ */
+
+const INPUT_EVENTS = ['pointermove', 'pointerdown', 'wheel', 'keydown', 'touchstart', 'touchmove', 'resize', 'gamepadconnected'];
+
+export class FrameScheduler {
+    constructor(renderFrame, { idleFps = 10, activeDuration = 2000, isBusy = () => false, onModeChange = () => {} } = {}) {
+        this.renderFrame = renderFrame;
+        this.idleFps = idleFps;
+        this.activeDuration = activeDuration;
+        this.isBusy = isBusy;
+        this.onModeChange = onModeChange;
+
+        this.mode = 'paused';
+        this.frameId = null;
+        this.lastFrameTime = 0;
+        this.activeUntil = 0;
+        this.pauseReasons = new Set();
+        this.observer = null;
+        this.abortController = null;
+
+        this.tick = this.tick.bind(this);
+    }
+
+    init() {
+        // One signal removes every listener in dispose()
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        INPUT_EVENTS.forEach(type => window.addEventListener(type, () => this.wake(), { passive: true, signal }));
+        this.pauseReasons.delete('disposed');
+        this.wake();
+    }
+
+    // Switches to full frame rate for `duration` ms
+    wake(duration = this.activeDuration) {
+        this.activeUntil = Math.max(this.activeUntil, performance.now() + duration);
+        this.requestFrame();
+    }
+
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        this.setMode('paused');
+    }
+
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        if (this.pauseReasons.size === 0) this.wake();
+    }
+
+    setIdleFps(idleFps) {
+        this.idleFps = idleFps;
+        this.requestFrame();
+    }
+
+    // Pauses while `element` is scrolled out of view
+    observe(element) {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.resume('offscreen');
+                } else {
+                    this.pause('offscreen');
+                }
+            });
+        });
+        this.observer.observe(element);
+    }
+
+    requestFrame() {
+        if (this.frameId === null && this.pauseReasons.size === 0) {
+            this.frameId = requestAnimationFrame(this.tick);
+        }
+    }
+
+    tick(time) {
+        this.frameId = null;
+        if (this.pauseReasons.size > 0) return;
+
+        const active = time < this.activeUntil || this.isBusy();
+        if (!active && this.idleFps <= 0) {
+            // Nothing moves; sleep until input wakes us
+            this.setMode('stopped');
+            return;
+        }
+
+        this.setMode(active ? 'active' : 'idle');
+
+        // Small tolerance so a 10 fps target isn't rounded down to every seventh frame
+        const interval = active ? 0 : 1000 / this.idleFps;
+        if (time - this.lastFrameTime >= interval - 2) {
+            this.lastFrameTime = time;
+            this.renderFrame(time);
+        }
+
+        this.requestFrame();
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+        this.onModeChange(mode);
+    }
+
+    dispose() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        // Late wake() calls must not schedule frames again
+        this.pauseReasons.add('disposed');
+    }
+}
@@ -1,18 +1,37 @@
 /**
  * PerformanceMonitor - Monitors and displays performance metrics
  * Uses Stats.js for FPS, MS, and memory tracking
+ * Measures in every build; the overlay is only shown with `display: true` (dev)
  */
 
 export class PerformanceMonitor {
-    constructor() {
+    constructor({ display = true } = {}) {
         this.stats = null;
         this.enabled = true;
+        this.display = display;
+        this.listeners = [];
+        this.container = null;
+    }
 
+    init() {
         // Try to use Stats.js if available via CDN, otherwise use simple monitor
         this.initStats();
     }
 
+    // Calls `callback({ fps, ms })` once per one-second sample
+    onSample(callback) {
+        this.listeners.push(callback);
+    }
+
     initStats() {
+        // Performance tracking
+        this.frames = 0;
+        this.prevTime = performance.now();
+        this.fps = 0;
+        this.ms = 0;
+
+        if (!this.display) return;
+
         // Simple performance monitor without Stats.js dependency
         this.container = document.createElement('div');
         this.container.id = 'performance-monitor';
@@ -40,12 +59,6 @@ export class PerformanceMonitor {
         this.container.appendChild(this.memoryElement);
 
         document.body.appendChild(this.container);
-
-        // Performance tracking
-        this.frames = 0;
-        this.prevTime = performance.now();
-        this.fps = 0;
-        this.ms = 0;
     }
 
     update() {
@@ -62,7 +75,8 @@ export class PerformanceMonitor {
             this.frames = 0;
             this.prevTime = currentTime;
 
-            this.updateDisplay();
+            this.listeners.forEach(listener => listener({ fps: this.fps, ms: this.ms }));
+            if (this.display) this.updateDisplay();
         }
     }
 
@@ -81,14 +95,25 @@ export class PerformanceMonitor {
         }
     }
 
+    // Restarts the sample window, e.g. after the tab was hidden
+    reset() {
+        this.frames = 0;
+        this.prevTime = performance.now();
+    }
+
     toggle() {
         this.enabled = !this.enabled;
-        this.container.style.display = this.enabled ? 'block' : 'none';
+        if (this.container) {
+            this.container.style.display = this.enabled ? 'block' : 'none';
+        }
     }
 
     dispose() {
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
         }
+        this.container = null;
+        this.listeners = [];
+        this.enabled = false;
     }
 }
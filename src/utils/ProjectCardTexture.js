@@ -0,0 +1,148 @@
+/**
+ * ProjectCardTexture - Draws a project card (title, description, tech badges)
+ * onto a canvas and wraps it in a Three.js texture
+ */
+
+import * as THREE from 'three';
+
+const WIDTH = 640;
+const HEIGHT = 384;
+const PADDING = 32;
+const FONT = "'Segoe UI', Helvetica, Arial, sans-serif";
+
+function cssColor(hex) {
+    return `#${new THREE.Color(hex).getHexString()}`;
+}
+
+export class ProjectCardTexture {
+    // `colors` are the theme's { accent, background, text } for this card
+    constructor(project, colors) {
+        this.project = project;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = WIDTH;
+        this.canvas.height = HEIGHT;
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.texture.anisotropy = 4;
+
+        this.setColors(colors);
+    }
+
+    // Redraws the card, e.g. after a theme switch
+    setColors({ accent, background, text }) {
+        this.color = cssColor(accent);
+        this.background = cssColor(background);
+        this.text = cssColor(text);
+
+        this.draw();
+        this.texture.needsUpdate = true;
+    }
+
+    draw() {
+        const ctx = this.context;
+
+        // Background and accent border
+        ctx.fillStyle = this.background;
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 8;
+        ctx.strokeRect(4, 4, WIDTH - 8, HEIGHT - 8);
+
+        // Title
+        ctx.fillStyle = this.color;
+        ctx.font = `bold 40px ${FONT}`;
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.truncate(this.project.name, WIDTH - PADDING * 2), PADDING, PADDING);
+
+        // Description, wrapped to three lines
+        ctx.fillStyle = this.text;
+        ctx.font = `24px ${FONT}`;
+        this.wrap(this.project.description, WIDTH - PADDING * 2, 3).forEach((line, index) => {
+            ctx.fillText(line, PADDING, PADDING + 64 + index * 32);
+        });
+
+        this.drawBadges();
+    }
+
+    drawBadges() {
+        const ctx = this.context;
+        const badgeHeight = 36;
+        const y = HEIGHT - PADDING - badgeHeight;
+        let x = PADDING;
+
+        ctx.font = `20px ${FONT}`;
+        ctx.textBaseline = 'middle';
+
+        for (const name of this.project.technologies) {
+            const width = ctx.measureText(name).width + 24;
+            if (x + width > WIDTH - PADDING) break;
+
+            this.roundedRect(x, y, width, badgeHeight, badgeHeight / 2);
+            ctx.globalAlpha = 0.1;
+            ctx.fillStyle = this.text;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            ctx.fillStyle = this.text;
+            ctx.fillText(name, x + 12, y + badgeHeight / 2);
+            x += width + 10;
+        }
+    }
+
+    wrap(text, maxWidth, maxLines) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const lines = [];
+        let line = '';
+
+        for (const word of words) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this.context.measureText(candidate).width <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+
+            if (line) lines.push(line);
+            line = word;
+            if (lines.length === maxLines) break;
+        }
+        if (line && lines.length < maxLines) lines.push(line);
+
+        // Ellipsis when the description didn't fit
+        if (lines.length > 0 && lines.join(' ').length < words.join(' ').length) {
+            lines[lines.length - 1] = this.truncate(`${lines[lines.length - 1]}…`, maxWidth);
+        }
+
+        return lines;
+    }
+
+    truncate(text, maxWidth) {
+        if (this.context.measureText(text).width <= maxWidth) return text;
+
+        let truncated = text;
+        while (truncated.length > 1 && this.context.measureText(`${truncated}…`).width > maxWidth) {
+            truncated = truncated.slice(0, -1);
+        }
+        return `${truncated.replace(/…$/, '')}…`;
+    }
+
+    roundedRect(x, y, width, height, radius) {
+        const ctx = this.context;
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * ProjectDataLoader - Loads projects.json (written by the sync's "projects" export)
+ * for the Projects section. Falls back to the repos in stacks.json when the file is missing.
+ */
+
+export class ProjectDataLoader {
+    // `source` is a URL, a projects.json object or an array of projects;
+    // null derives the projects from stacks.json
+    constructor(source = './projects.json') {
+        this.source = source;
+        this.projects = [];
+    }
+
+    async load(stacks = null) {
+        if (this.source === null) {
+            this.projects = this.fromStacks(stacks || {});
+            return this.projects;
+        }
+
+        try {
+            let raw = this.source;
+            if (typeof raw === 'string') {
+                const response = await fetch(raw);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                raw = await response.json();
+            }
+
+            const projects = Array.isArray(raw) ? raw : raw.projects || [];
+            this.projects = projects.map(project => this.normalise(project)).filter(Boolean);
+        } catch (error) {
+            console.warn(`Could not load ${this.source}, using stacks.json repos:`, error);
+            this.projects = this.fromStacks(stacks || {});
+        }
+
+        return this.projects;
+    }
+
+    // Derives projects from the per-repo summary in stacks.json
+    fromStacks(stacks, limit = 12) {
+        return (stacks.repos || [])
+            .filter(entry => entry.repo && entry.repo.url && !entry.repo.private)
+            .slice(0, limit)
+            .map(entry => this.normalise({
+                ...entry.repo,
+                technologies: (entry.technologies || []).map(tech => tech.name)
+            }))
+            .filter(Boolean);
+    }
+
+    normalise(project) {
+        if (!project || !project.name) return null;
+
+        return {
+            name: project.name,
+            description: project.description || '',
+            url: project.url || null,
+            stars: project.stars || 0,
+            technologies: (project.technologies || []).filter(Boolean)
+        };
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * SceneLoader - Loads the scene description (src/config/scene.json format) and the
+ * glTF models it references. GLTFLoader and DRACOLoader are only downloaded when
+ * a section actually uses a model.
+ */
+
+import { disposeObject } from './Disposal.js';
+
+export const SCENE_VERSION = 1;
+
+// Draco decoders vendored in public/draco/ from the three.js release; override with "draco": { "decoderPath" }
+const DRACO_DECODER_PATH = './draco/';
+
+export class SceneLoader {
+    // `source` is a URL to fetch or an already-parsed description
+    constructor(source, fallback = null) {
+        this.source = source;
+        this.fallback = fallback;
+        this.description = null;
+        this.gltfLoader = null;
+        this.dracoLoader = null;
+        this.models = new Map();
+    }
+
+    async load() {
+        try {
+            let description = this.source;
+            if (typeof description === 'string') {
+                const response = await fetch(description);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                description = await response.json();
+            }
+
+            this.description = this.validate(description);
+        } catch (error) {
+            if (!this.fallback) throw error;
+
+            console.warn(`Could not load scene description ${this.source}, using the built-in one:`, error);
+            this.description = this.validate(this.fallback);
+        }
+
+        return this.description;
+    }
+
+    validate(description) {
+        if (!description || description.version !== SCENE_VERSION) {
+            throw new Error(`Scene description must have "version": ${SCENE_VERSION}`);
+        }
+        if (!description.sections || typeof description.sections !== 'object') {
+            throw new Error('Scene description is missing "sections"');
+        }
+        return description;
+    }
+
+    // The description's entry for a section id, or an empty one
+    section(id) {
+        return this.description.sections[id] || { objects: [] };
+    }
+
+    // CameraController's pose format from { "position": [x, y, z], "lookAt": [x, y, z] }
+    cameraPose(id) {
+        const camera = this.section(id).camera;
+        if (!camera) return null;
+
+        const [x, y, z] = camera.position;
+        const [lookX, lookY, lookZ] = camera.lookAt || [0, 0, 0];
+        return { x, y, z, lookAt: { x: lookX, y: lookY, z: lookZ } };
+    }
+
+    // Resolves to the loaded glTF ({ scene, animations }); each URL is fetched once
+    loadModel(url) {
+        if (!this.models.has(url)) {
+            this.models.set(url, this.createGltfLoader().then(loader => loader.loadAsync(url)));
+        }
+        return this.models.get(url);
+    }
+
+    // A fresh copy of a model's scene (skinned meshes included) plus its animation clips
+    async instantiate(url) {
+        const [gltf, { clone }] = await Promise.all([
+            this.loadModel(url),
+            import('three/examples/jsm/utils/SkeletonUtils.js')
+        ]);
+        return { object: clone(gltf.scene), animations: gltf.animations };
+    }
+
+    createGltfLoader() {
+        if (!this.gltfLoader) {
+            this.gltfLoader = Promise.all([
+                import('three/examples/jsm/loaders/GLTFLoader.js'),
+                import('three/examples/jsm/loaders/DRACOLoader.js')
+            ]).then(([{ GLTFLoader }, { DRACOLoader }]) => {
+                const draco = this.description.draco || {};
+                this.dracoLoader = new DRACOLoader();
+                this.dracoLoader.setDecoderPath(draco.decoderPath || DRACO_DECODER_PATH);
+
+                const loader = new GLTFLoader();
+                loader.setDRACOLoader(this.dracoLoader);
+                return loader;
+            });
+        }
+        return this.gltfLoader;
+    }
+
+    dispose() {
+        // The source scenes that instances were cloned from; failed loads have nothing to free
+        this.models.forEach(model => model.then(gltf => disposeObject(gltf.scene), () => {}));
+
+        if (this.dracoLoader) this.dracoLoader.dispose();
+        this.dracoLoader = null;
+        this.gltfLoader = null;
+        this.models.clear();
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * StackDataLoader - Loads stacks.json produced by the Tech Stack Sync workflow
+ * Aggregates per-repo technologies into categories for the Skills section,
+ * ranked by the sync's score (falls back to repo count for unscored files)
+ */
+
+export class StackDataLoader {
+    // `source` is a URL to fetch or already-parsed stacks.json content
+    constructor(source = './stacks.json') {
+        this.source = source;
+        this.raw = null;
+        this.data = null;
+    }
+
+    async load() {
+        try {
+            if (typeof this.source === 'string') {
+                const response = await fetch(this.source);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                this.raw = await response.json();
+            } else {
+                this.raw = this.source || {};
+            }
+
+            this.data = this.aggregate(this.raw);
+        } catch (error) {
+            console.warn(`Could not load ${this.source}:`, error);
+            this.data = this.aggregate({});
+        }
+
+        return this.data;
+    }
+
+    aggregate(raw) {
+        const technologies = new Map();
+        const scores = new Map(
+            (raw.technologies || []).map(tech => [`${tech.category}|${tech.name}`, tech.score])
+        );
+
+        (raw.repos || []).forEach(entry => {
+            const repoName = entry.repo ? entry.repo.name : null;
+
+            (entry.technologies || []).forEach(tech => {
+                if (!tech || !tech.name) return;
+
+                const category = tech.category || 'other';
+                const key = `${category}|${tech.name}`;
+
+                if (!technologies.has(key)) {
+                    technologies.set(key, {
+                        id: tech.id || tech.name,
+                        name: tech.name,
+                        category,
+                        repos: new Set()
+                    });
+                }
+
+                technologies.get(key).repos.add(repoName);
+            });
+        });
+
+        // Group by category, highest scored technologies first
+        const categories = new Map();
+        technologies.forEach(tech => {
+            if (!categories.has(tech.category)) {
+                categories.set(tech.category, []);
+            }
+            categories.get(tech.category).push({
+                id: tech.id,
+                name: tech.name,
+                category: tech.category,
+                repoCount: tech.repos.size,
+                score: scores.get(`${tech.category}|${tech.name}`) ?? tech.repos.size
+            });
+        });
+
+        const sorted = [...categories.entries()]
+            .map(([name, techs]) => ({
+                name,
+                technologies: techs.sort((a, b) =>
+                    b.score - a.score ||
+                    b.repoCount - a.repoCount ||
+                    a.name.localeCompare(b.name)
+                )
+            }))
+            .sort((a, b) => b.technologies.length - a.technologies.length || a.name.localeCompare(b.name));
+
+        const allTechnologies = sorted.flatMap(category => category.technologies);
+        const maxRepoCount = Math.max(1, ...allTechnologies.map(tech => tech.repoCount));
+        const maxScore = Math.max(0, ...allTechnologies.map(tech => tech.score)) || 1;
+
+        return {
+            owner: raw.owner || null,
+            generatedAt: raw.generatedAt || null,
+            categories: sorted,
+            maxRepoCount,
+            maxScore
+        };
+    }
+}
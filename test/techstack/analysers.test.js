@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { FallbackAnalyser, FileAnalyser, ManifestAnalyser } from '../../scripts/techstack/analysers.js';
+import { DETECTORS, detectTechnologies } from '../../scripts/techstack/detectors.js';
+import { FIXTURES_DIR, REPOS_DIR } from './helpers.js';
+
+const MANIFESTS_DIR = path.join(FIXTURES_DIR, 'manifests');
+const python = DETECTORS.find(detector => detector.name === 'python');
+const names = technologies => technologies.map(tech => tech.name);
+
+describe('FileAnalyser', () => {
+    it('reads a pre-computed stack.json', async () => {
+        const stack = await new FileAnalyser().analyse(path.join(REPOS_DIR, 'api'));
+
+        assert.equal(stack.detectedBy, 'file');
+        assert.deepEqual(stack.flat.map(tech => tech.name), ['Python', 'Flask', 'Redis']);
+    });
+
+    it('returns null without one', async () => {
+        assert.equal(await new FileAnalyser().analyse(path.join(REPOS_DIR, 'notes')), null);
+    });
+});
+
+describe('ManifestAnalyser', () => {
+    it('detects npm packages and tags them with the manifest', async () => {
+        const { flat } = await new ManifestAnalyser().analyse(path.join(REPOS_DIR, 'portfolio'));
+
+        assert.deepEqual(flat.slice(0, 4), [
+            { name: 'Node.js', category: 'language', detectedBy: 'package.json' },
+            { name: 'GSAP', category: 'tool', detectedBy: 'package.json' },
+            { name: 'Three.js', category: 'framework', detectedBy: 'package.json' },
+            { name: 'Vite', category: 'tool', detectedBy: 'package.json' }
+        ]);
+    });
+
+    it('detects requirements.txt packages', async () => {
+        const { flat } = await new ManifestAnalyser().analyse(path.join(REPOS_DIR, 'api'));
+        ['Python', 'Flask', 'Redis'].forEach(name => assert.ok(names(flat).includes(name), name));
+    });
+
+    it('falls back to the detector when the primary analyser fails', async () => {
+        const failing = { analyse: async () => { throw new Error('not installed'); } };
+        const stack = await new FallbackAnalyser(failing, new ManifestAnalyser()).analyse(path.join(REPOS_DIR, 'portfolio'));
+
+        assert.ok(names(stack.flat).includes('Three.js'));
+    });
+});
+
+describe('pyproject.toml', () => {
+    it('reads PEP 621 dependencies and optional dependencies only', async () => {
+        const found = await detectTechnologies(path.join(MANIFESTS_DIR, 'pyproject'), [python]);
+
+        // Name, keywords, description, classifiers and tool settings mention Redis, Flask and Django
+        assert.deepEqual(names(found), ['Python', 'FastAPI', 'SQLAlchemy', 'NumPy', 'pytest', 'pandas']);
+    });
+
+    it('reads Poetry dependency tables', async () => {
+        const found = await detectTechnologies(path.join(MANIFESTS_DIR, 'poetry'), [python]);
+        assert.deepEqual(names(found), ['Python', 'Flask', 'pytest']);
+    });
+});
@@ -0,0 +1,67 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { AnalysisCache } from '../../scripts/techstack/cache.js';
+import { createWorkspace } from './helpers.js';
+
+const TECHNOLOGIES = [{ id: 'react', name: 'React', category: 'framework' }];
+
+describe('AnalysisCache', () => {
+    let workspace;
+
+    beforeEach(async () => {
+        workspace = await createWorkspace();
+    });
+    afterEach(() => workspace.cleanup());
+
+    it('starts empty when the file does not exist', async () => {
+        const cache = await AnalysisCache.load(workspace.cachePath);
+        assert.equal(cache.lookup('https://github.com/fixture/app', 'abc'), null);
+    });
+
+    it('returns results only for the SHA they were stored with', async () => {
+        const cache = await AnalysisCache.load(workspace.cachePath);
+        cache.store('app', 'abc', TECHNOLOGIES);
+
+        assert.deepEqual(cache.lookup('app', 'abc'), TECHNOLOGIES);
+        assert.equal(cache.lookup('app', 'def'), null);
+        assert.equal(cache.lookup('app', null), null);
+    });
+
+    it('does not store results without a SHA', async () => {
+        const cache = await AnalysisCache.load(workspace.cachePath);
+        cache.store('app', null, TECHNOLOGIES);
+        assert.deepEqual(cache.entries, {});
+    });
+
+    it('saves only the repos seen in this run', async () => {
+        const first = await AnalysisCache.load(workspace.cachePath);
+        first.store('kept', 'abc', TECHNOLOGIES);
+        first.store('dropped', 'def', TECHNOLOGIES);
+        await first.save();
+
+        const second = await AnalysisCache.load(workspace.cachePath);
+        assert.deepEqual(second.lookup('kept', 'abc'), TECHNOLOGIES);
+        await second.save();
+
+        const saved = JSON.parse(await readFile(workspace.cachePath, 'utf8'));
+        assert.deepEqual(Object.keys(saved.repos), ['kept']);
+    });
+
+    it('discards a cache written in another layout version', async () => {
+        await writeFile(workspace.cachePath, JSON.stringify({
+            version: 0,
+            repos: { app: { sha: 'abc', technologies: TECHNOLOGIES } }
+        }));
+
+        const cache = await AnalysisCache.load(workspace.cachePath);
+        assert.equal(cache.lookup('app', 'abc'), null);
+    });
+
+    it('keeps everything in memory without a path', async () => {
+        const cache = await AnalysisCache.load(null);
+        cache.store('app', 'abc', TECHNOLOGIES);
+        await cache.save();
+        assert.deepEqual(cache.lookup('app', 'abc'), TECHNOLOGIES);
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mapWithConcurrency } from '../../scripts/techstack/sync.js';
+
+describe('mapWithConcurrency', () => {
+    it('keeps results in input order', async () => {
+        // Later items finish first
+        const results = await mapWithConcurrency([30, 20, 10, 0], 4, async (ms, index) => {
+            await delay(ms);
+            return index;
+        });
+
+        assert.deepEqual(results, [0, 1, 2, 3]);
+    });
+
+    it('never runs more than `limit` tasks at once', async () => {
+        let running = 0;
+        let peak = 0;
+
+        await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await delay(5);
+            running--;
+        });
+
+        assert.equal(peak, 3);
+    });
+
+    it('handles an empty list and a limit below one', async () => {
+        assert.deepEqual(await mapWithConcurrency([], 4, async item => item), []);
+        assert.deepEqual(await mapWithConcurrency([1, 2], 0, async item => item * 2), [2, 4]);
+    });
+});
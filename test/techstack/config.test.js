@@ -0,0 +1,113 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { loadConfig, splitSection } from '../../scripts/techstack/config.js';
+import { filterStacks } from '../../scripts/techstack/filters.js';
+import { rewriteSections } from '../../scripts/techstack/readme.js';
+import { sampleStacks } from './helpers.js';
+
+describe('loadConfig', () => {
+    let dir;
+    const write = async config => {
+        const file = path.join(dir, 'techstack.config.json');
+        await writeFile(file, JSON.stringify(config));
+        return file;
+    };
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'techstack-config-'));
+    });
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    it('returns null without a config file', async () => {
+        assert.equal(await loadConfig(path.join(dir, 'missing.json')), null);
+    });
+
+    it('loads the sections', async () => {
+        const sections = [{ marker: 'LANGUAGES', style: 'badges', categories: ['language'] }];
+        assert.deepEqual(await loadConfig(await write({ sections })), { sections });
+    });
+
+    it('rejects sections without a marker, duplicate markers and non-array filters', async () => {
+        await assert.rejects(loadConfig(await write({ sections: [{ style: 'list' }] })), /sections\[0\] is missing "marker"/);
+        await assert.rejects(
+            loadConfig(await write({ sections: [{ marker: 'A' }, { marker: 'A' }] })),
+            /marker "A" is used by more than one section/
+        );
+        await assert.rejects(
+            loadConfig(await write({ sections: [{ marker: 'A', categories: 'language' }] })),
+            /sections\[0\]\.categories must be an array/
+        );
+    });
+
+    it('splits a section into filters and renderer options', () => {
+        assert.deepEqual(splitSection({ marker: 'A', style: 'list', limit: 5, categories: ['db'], exclude: ['api'] }), {
+            marker: 'A',
+            filters: { categories: ['db'], exclude: ['api'] },
+            options: { style: 'list', limit: 5 }
+        });
+    });
+});
+
+describe('filterStacks', () => {
+    const names = stacks => stacks.repos.map(({ repo }) => repo.name);
+
+    it('filters repos by name globs', () => {
+        assert.deepEqual(names(filterStacks(sampleStacks(), { exclude: ['*.github.io', 'SECRET'] })), ['portfolio', 'api']);
+        assert.deepEqual(names(filterStacks(sampleStacks(), { include: ['p*'] })), ['portfolio']);
+    });
+
+    it('drops repos left without technologies by a category filter', () => {
+        const filtered = filterStacks(sampleStacks(), { categories: ['db', 'framework'] });
+
+        assert.deepEqual(names(filtered), ['portfolio', 'api']);
+        assert.deepEqual(filtered.repos[1].technologies.map(tech => tech.name), ['Flask', 'Redis']);
+        assert.deepEqual(names(filterStacks(sampleStacks(), { excludeCategories: ['language', 'infra'] })), ['portfolio', 'api']);
+    });
+});
+
+describe('rewriteSections', () => {
+    const readme = [
+        '<!-- LANGUAGES:START -->',
+        '<!-- LANGUAGES:END -->',
+        '<!-- PROJECTS:START limit=1 -->',
+        '<!-- PROJECTS:END -->'
+    ].join('\n');
+
+    before(() => mock.method(console, 'warn', () => {}));
+    after(() => mock.restoreAll());
+
+    it('renders every section with its own filters and marker overrides', () => {
+        const updated = rewriteSections(readme, [
+            { marker: 'LANGUAGES', style: 'list', categories: ['language'] },
+            { marker: 'PROJECTS', style: 'repos', exclude: ['api'], limit: 3 }
+        ], sampleStacks());
+
+        assert.match(updated, /<!-- LANGUAGES:START -->\n\nJavaScript, Go, Python\n\n<!-- LANGUAGES:END -->/);
+        // limit=1 on the marker wins over the config's 3
+        assert.match(updated, /\| Repository \| Visible \| Top technologies \|\n\| -+ \| -+ \| -+ \|\n\| \[portfolio\]/);
+        assert.doesNotMatch(updated, /\[secret\]|\[api\]/);
+    });
+
+    it('skips sections whose markers are missing', () => {
+        const updated = rewriteSections(readme, [
+            { marker: 'LANGUAGES', style: 'list', categories: ['db'] },
+            { marker: 'MISSING', style: 'list' }
+        ], sampleStacks());
+
+        assert.match(updated, /\n\nRedis\n\n/);
+        assert.equal(console.warn.mock.calls[0].arguments[0], 'Markers for MISSING not found in README, skipping.');
+    });
+
+    it('fails when no section could be written', () => {
+        assert.throws(() => rewriteSections('nothing here', [{ marker: 'A' }, { marker: 'B' }], sampleStacks()),
+            /None of the markers \(A, B\) were found in README/);
+    });
+
+    it('shows a placeholder when the filters leave nothing', () => {
+        const updated = rewriteSections(readme, [{ marker: 'LANGUAGES', style: 'list', categories: ['cloud'] }], sampleStacks());
+        assert.match(updated, /_No matching technologies\._/);
+    });
+});
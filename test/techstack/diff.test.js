@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readmeChanged, stacksChanged, unifiedDiff } from '../../scripts/techstack/diff.js';
+
+describe('unifiedDiff', () => {
+    it('is empty for identical text', () => {
+        assert.equal(unifiedDiff('a\nb\n', 'a\nb\n'), '');
+    });
+
+    it('prints one hunk with context and line numbers', () => {
+        const before = ['1', '2', '3', '4', '5', '6', '7'].join('\n');
+        const after = ['1', '2', '3', 'four', '5', '6', '7'].join('\n');
+
+        assert.equal(unifiedDiff(before, after, { fromFile: 'a/README.md', toFile: 'b/README.md' }), [
+            '--- a/README.md',
+            '+++ b/README.md',
+            '@@ -1,7 +1,7 @@',
+            ' 1',
+            ' 2',
+            ' 3',
+            '-4',
+            '+four',
+            ' 5',
+            ' 6',
+            ' 7'
+        ].join('\n'));
+    });
+
+    it('splits changes further apart than twice the context into hunks', () => {
+        const lines = Array.from({ length: 20 }, (_, i) => String(i + 1));
+        const changed = [...lines];
+        changed[1] = 'two';
+        changed[17] = 'eighteen';
+
+        const patch = unifiedDiff(lines.join('\n'), changed.join('\n'), { context: 1 });
+
+        assert.deepEqual(patch.split('\n').filter(line => line.startsWith('@@')), [
+            '@@ -1,3 +1,3 @@',
+            '@@ -17,3 +17,3 @@'
+        ]);
+    });
+
+    it('counts added and removed lines separately', () => {
+        const patch = unifiedDiff('a\nb', 'a\nb\nc\nd', { context: 0 });
+        assert.match(patch, /^@@ -2,0 \+3,2 @@$/m);
+        assert.match(patch, /^\+c$/m);
+        assert.match(patch, /^\+d$/m);
+    });
+});
+
+describe('readmeChanged', () => {
+    it('ignores "Last updated" lines', () => {
+        assert.equal(readmeChanged('x\nLast updated: `2024-01-01`\n', 'x\nLast updated: `2024-02-01`\n'), false);
+    });
+
+    it('ignores the baseline date of a changes section', () => {
+        assert.equal(
+            readmeChanged('_No stack changes since 2024-01-01._', '_No stack changes since 2024-01-08._'),
+            false
+        );
+        assert.equal(readmeChanged('**New since 2024-01-01:** Go', '**New since 2024-01-08:** Go'), false);
+    });
+
+    it('sees real content changes', () => {
+        assert.equal(readmeChanged('**New since 2024-01-01:** Go', '**New since 2024-01-08:** Rust'), true);
+        assert.equal(readmeChanged('- React', '- Vue.js'), true);
+    });
+});
+
+describe('stacksChanged', () => {
+    const stacks = (technologies, generatedAt = '2024-01-01T00:00:00Z') => ({
+        owner: 'fixture',
+        generatedAt,
+        repos: [{ repo: { name: 'app', url: 'https://github.com/fixture/app', private: false }, technologies }],
+        technologies: technologies.map(tech => ({
+            ...tech,
+            score: Math.random(),
+            components: { repos: 1, bytes: 0, recency: Math.random(), stars: 0 }
+        }))
+    });
+    const react = { name: 'React', category: 'framework' };
+    const vite = { name: 'Vite', category: 'tool' };
+
+    it('is true without a previous stacks.json', () => {
+        assert.equal(stacksChanged(null, stacks([react])), true);
+    });
+
+    it('ignores generatedAt, scores and recency', () => {
+        assert.equal(stacksChanged(stacks([react, vite]), stacks([react, vite], '2024-02-01T00:00:00Z')), false);
+    });
+
+    it('sees added technologies', () => {
+        assert.equal(stacksChanged(stacks([react]), stacks([react, vite])), true);
+    });
+
+    it('sees repo metadata the exports and cards render', () => {
+        const withRepo = fields => {
+            const result = stacks([react]);
+            Object.assign(result.repos[0].repo, fields);
+            return result;
+        };
+        const base = { description: 'App', stars: 1, pushedAt: '2024-01-01T00:00:00Z', languages: { TypeScript: 100 } };
+
+        assert.equal(stacksChanged(withRepo(base), withRepo(base)), false);
+        assert.equal(stacksChanged(withRepo(base), withRepo({ ...base, description: 'Better app' })), true);
+        assert.equal(stacksChanged(withRepo(base), withRepo({ ...base, stars: 2 })), true);
+        assert.equal(stacksChanged(withRepo(base), withRepo({ ...base, pushedAt: '2024-02-01T00:00:00Z' })), true);
+        assert.equal(stacksChanged(withRepo(base), withRepo({ ...base, languages: { TypeScript: 200 } })), true);
+    });
+
+    it('sees language bytes behind the languages card', () => {
+        const bytes = value => {
+            const result = stacks([react]);
+            result.technologies[0].components.bytes = value;
+            return result;
+        };
+
+        assert.equal(stacksChanged(bytes(100), bytes(200)), true);
+    });
+});
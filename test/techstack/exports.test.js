@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, toJsonFeed, toProjects } from '../../scripts/techstack/exports.js';
+import { createSnapshot } from '../../scripts/techstack/history.js';
+import { redactPrivateRepos } from '../../scripts/techstack/filters.js';
+import { scoreStacks } from '../../scripts/techstack/scoring.js';
+import { sampleStacks } from './helpers.js';
+
+describe('toCsv', () => {
+    it('writes one row per repo and technology', () => {
+        const rows = toCsv(sampleStacks()).trimEnd().split('\n');
+
+        assert.equal(rows[0], 'repo,url,private,technology,id,category,detected_by');
+        assert.equal(rows.length, 1 + 4 + 4 + 1 + 2);
+        assert.equal(rows[1], 'portfolio,https://github.com/fixture/portfolio,false,JavaScript,javascript,language,');
+        assert.equal(rows[11], 'secret,https://github.com/fixture/secret,true,Docker,docker,infra,');
+    });
+
+    it('quotes fields with commas, quotes or newlines', () => {
+        const stacks = {
+            repos: [{
+                repo: { name: 'a,b', url: null, private: false },
+                technologies: [{ name: 'Say "hi"', id: 'hi', category: null, detectedBy: 'package.json' }]
+            }]
+        };
+
+        assert.equal(toCsv(stacks).split('\n')[1], '"a,b",,false,"Say ""hi""",hi,other,package.json');
+    });
+});
+
+describe('toJsonFeed', () => {
+    const snapshotAt = (generatedAt, change) => {
+        const stacks = sampleStacks();
+        stacks.generatedAt = generatedAt;
+        if (change) change(stacks);
+        return createSnapshot(stacks);
+    };
+    const history = [
+        snapshotAt('2024-05-01T00:00:00Z'),
+        // Same stack a week later: no feed item
+        snapshotAt('2024-05-08T00:00:00Z'),
+        snapshotAt('2024-05-15T00:00:00Z', stacks => {
+            stacks.repos[1].technologies.push({ name: 'Celery', category: 'tool' });
+            stacks.repos[3].technologies.shift();
+        })
+    ];
+
+    it('adds one item per run that changed the stack, newest first', () => {
+        const feed = toJsonFeed(history, { owner: 'fixture', homePageUrl: 'https://github.com/fixture' });
+
+        assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+        assert.equal(feed.title, 'Tech stack changes for fixture');
+        assert.equal(feed.home_page_url, 'https://github.com/fixture');
+        assert.equal('feed_url' in feed, false);
+        assert.equal(feed.items.length, 1);
+
+        const [item] = feed.items;
+        assert.equal(item.id, '2024-05-15T00:00:00Z');
+        assert.equal(item.title, 'Tech stack changes on 2024-05-15');
+        assert.equal(item.content_text, 'Added: Celery. Removed: Go. By category: tool +1, language -1.');
+        assert.deepEqual(item.tags, ['tool', 'language']);
+        assert.equal(item._techstack.since, '2024-05-08T00:00:00Z');
+    });
+
+    it('keeps only the newest `limit` items', () => {
+        const changing = ['2024-05-01', '2024-05-08', '2024-05-15'].map((date, index) =>
+            snapshotAt(`${date}T00:00:00Z`, stacks => {
+                stacks.repos[0].technologies.push({ name: `Tool ${index}`, category: 'tool' });
+            })
+        );
+
+        const feed = toJsonFeed(changing, { owner: 'fixture', feedUrl: 'https://example.com/feed.json', limit: 1 });
+
+        assert.equal(feed.feed_url, 'https://example.com/feed.json');
+        assert.deepEqual(feed.items.map(item => item.id), ['2024-05-15T00:00:00Z']);
+    });
+});
+
+describe('toProjects', () => {
+    const stacks = () => {
+        const result = sampleStacks();
+        Object.assign(result.repos[0].repo, { description: 'Interactive 3D portfolio', stars: 12, pushedAt: '2024-05-01T00:00:00Z' });
+        Object.assign(result.repos[1].repo, { stars: 3, pushedAt: '2024-04-01T00:00:00Z' });
+        Object.assign(result.repos[2].repo, { stars: 3, pushedAt: '2024-05-20T00:00:00Z' });
+        result.repos[3].repo.stars = 99;
+        return scoreStacks(result);
+    };
+
+    it('lists public repos, most starred then most recently pushed first', () => {
+        const { owner, generatedAt, projects } = toProjects(stacks());
+
+        assert.equal(owner, 'fixture');
+        assert.equal(generatedAt, '2024-06-01T12:00:00Z');
+        assert.deepEqual(projects.map(project => project.name), ['portfolio', 'fixture.github.io', 'api']);
+        assert.deepEqual(projects[0], {
+            name: 'portfolio',
+            description: 'Interactive 3D portfolio',
+            url: 'https://github.com/fixture/portfolio',
+            stars: 12,
+            technologies: ['Docker', 'JavaScript', 'Three.js', 'Vite']
+        });
+        assert.equal(projects[2].description, '');
+    });
+
+    it('leaves out redacted repos and honours the limits', () => {
+        const { projects } = toProjects(redactPrivateRepos(stacks()), { limit: 2, technologies: 2 });
+
+        assert.deepEqual(projects.map(project => [project.name, project.technologies]), [
+            ['portfolio', ['Docker', 'JavaScript']],
+            ['fixture.github.io', ['JavaScript']]
+        ]);
+    });
+});
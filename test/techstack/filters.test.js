@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, redactPrivateRepos, selectRepos } from '../../scripts/techstack/filters.js';
+import { sampleStacks } from './helpers.js';
+
+const repos = [
+    { name: 'portfolio', topics: ['threejs', 'portfolio'] },
+    { name: 'api', topics: ['python'], private: true },
+    { name: 'fork-of-lib', fork: true },
+    { name: 'old-site', archived: true, topics: ['website'] },
+    { name: 'starter', template: true },
+    { name: 'my-org/tools', topics: ['cli'] }
+];
+
+const select = selection => selectRepos(repos, selection).map(repo => repo.name);
+
+describe('selectRepos', () => {
+    it('skips forks but keeps archived repos and templates by default', () => {
+        assert.deepEqual(select(), ['portfolio', 'api', 'old-site', 'starter', 'my-org/tools']);
+    });
+
+    it('includes or excludes each kind of repo', () => {
+        assert.deepEqual(select({ forks: true, archived: false, templates: false }),
+            ['portfolio', 'api', 'fork-of-lib', 'my-org/tools']);
+    });
+
+    it('selects by visibility', () => {
+        assert.deepEqual(select({ visibility: 'private' }), ['api']);
+        assert.deepEqual(select({ visibility: 'public' }), ['portfolio', 'old-site', 'starter', 'my-org/tools']);
+    });
+
+    it('matches names and topics as case-insensitive globs', () => {
+        assert.deepEqual(select({ include: ['my-org/*', 'P*'] }), ['portfolio', 'my-org/tools']);
+        assert.deepEqual(select({ exclude: ['*-site', 'st?rter'] }), ['portfolio', 'api', 'my-org/tools']);
+        assert.deepEqual(select({ topics: ['three*', 'cli'] }), ['portfolio', 'my-org/tools']);
+        assert.deepEqual(select({ excludeTopics: ['web*', 'python'] }), ['portfolio', 'starter', 'my-org/tools']);
+    });
+
+    it('treats glob characters only as wildcards', () => {
+        assert.equal(globToRegExp('a.b').test('axb'), false);
+        assert.equal(globToRegExp('*.github.io').test('me.github.io'), true);
+    });
+});
+
+describe('redactPrivateRepos', () => {
+    it('replaces private names and links with numbered placeholders', () => {
+        const stacks = sampleStacks();
+        stacks.repos.push({
+            repo: { name: 'other', url: 'https://github.com/fixture/other', private: true, description: 'Secret plans', stars: 2 },
+            technologies: [{ name: 'Rust', category: 'language' }]
+        });
+
+        const redacted = redactPrivateRepos(stacks);
+
+        assert.deepEqual(redacted.repos.map(({ repo }) => repo.name),
+            ['portfolio', 'api', 'fixture.github.io', 'Private repo 1', 'Private repo 2']);
+        assert.deepEqual(redacted.repos[4].repo, { private: true, stars: 2, name: 'Private repo 2', url: null, redacted: true });
+        // Technologies still count
+        assert.deepEqual(redacted.repos[3].technologies, stacks.repos[3].technologies);
+        assert.equal(stacks.repos[3].repo.name, 'secret');
+    });
+});
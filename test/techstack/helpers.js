@@ -0,0 +1,76 @@
+/**
+ * Test helpers - Fixture paths and a scratch directory per test for Tech Stack Sync runs
+ */
+
+import { copyFile, mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LocalRepoSource } from '../../scripts/techstack/repoSources.js';
+import { FileAnalyser } from '../../scripts/techstack/analysers.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+export const REPOS_DIR = path.join(FIXTURES_DIR, 'repos');
+
+// Copies the fixture README into a fresh directory; call cleanup() when done
+export async function createWorkspace() {
+    const dir = await mkdtemp(path.join(tmpdir(), 'techstack-test-'));
+    const readmePath = path.join(dir, 'README.md');
+    await copyFile(path.join(FIXTURES_DIR, 'README.md'), readmePath);
+
+    return {
+        dir,
+        readmePath,
+        stacksPath: path.join(dir, 'stacks.json'),
+        historyPath: path.join(dir, 'stacks-history.jsonl'),
+        cachePath: path.join(dir, 'techstack-cache.json'),
+        cleanup: () => rm(dir, { recursive: true, force: true })
+    };
+}
+
+// runSync options for an offline run over the fixture repos
+export function offlineRun(workspace, options = {}) {
+    return {
+        owner: 'fixture',
+        source: new LocalRepoSource({ owner: 'fixture', reposDir: REPOS_DIR }),
+        analyser: new FileAnalyser(),
+        selection: {},
+        cachePath: null,
+        concurrency: 2,
+        readmePath: workspace.readmePath,
+        stacksPath: workspace.stacksPath,
+        historyPath: null,
+        sections: [{ marker: 'TECHSTACK' }],
+        now: new Date('2024-06-01T12:00:00Z'),
+        ...options
+    };
+}
+
+// A small stacks.json: three public repos and one private one
+export function sampleStacks() {
+    const tech = (name, category) => ({ id: name.toLowerCase(), name, category });
+
+    return {
+        schemaVersion: 1,
+        owner: 'fixture',
+        generatedAt: '2024-06-01T12:00:00Z',
+        repos: [
+            {
+                repo: { name: 'portfolio', url: 'https://github.com/fixture/portfolio', private: false },
+                technologies: [tech('JavaScript', 'language'), tech('Three.js', 'framework'), tech('Vite', 'tool'), tech('Docker', 'infra')]
+            },
+            {
+                repo: { name: 'api', url: 'https://github.com/fixture/api', private: false },
+                technologies: [tech('Python', 'language'), tech('Flask', 'framework'), tech('Redis', 'db'), tech('Docker', 'infra')]
+            },
+            {
+                repo: { name: 'fixture.github.io', url: 'https://github.com/fixture/fixture.github.io', private: false },
+                technologies: [tech('JavaScript', 'language')]
+            },
+            {
+                repo: { name: 'secret', url: 'https://github.com/fixture/secret', private: true },
+                technologies: [tech('Go', 'language'), tech('Docker', 'infra')]
+            }
+        ]
+    };
+}
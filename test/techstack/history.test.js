@@ -0,0 +1,124 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+    appendSnapshot, createSnapshot, diffSnapshots, findBaseline, formatDiff, readHistory
+} from '../../scripts/techstack/history.js';
+import { rewriteSections } from '../../scripts/techstack/readme.js';
+import { sampleStacks } from './helpers.js';
+
+const at = (generatedAt, technologies = []) => ({ generatedAt, technologies });
+
+describe('snapshots', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'techstack-history-'));
+    });
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    it('records each technology with its repo count and repos', () => {
+        const snapshot = createSnapshot(sampleStacks());
+
+        assert.equal(snapshot.generatedAt, '2024-06-01T12:00:00Z');
+        assert.deepEqual(snapshot.technologies[0], { name: 'Redis', category: 'db', repoCount: 1, repos: ['api'] });
+        assert.deepEqual(snapshot.technologies.find(tech => tech.name === 'Docker').repos, ['api', 'portfolio', 'secret']);
+    });
+
+    it('appends JSON lines and reads them back oldest first', async () => {
+        const historyPath = path.join(dir, 'history.jsonl');
+        assert.deepEqual(await readHistory(historyPath), []);
+
+        await appendSnapshot(historyPath, at('2024-06-08T00:00:00Z'));
+        await appendSnapshot(historyPath, at('2024-06-01T00:00:00Z'));
+
+        assert.deepEqual((await readHistory(historyPath)).map(snapshot => snapshot.generatedAt),
+            ['2024-06-01T00:00:00Z', '2024-06-08T00:00:00Z']);
+    });
+
+    it('finds the previous snapshot, or the latest one old enough', () => {
+        const history = [at('2024-05-01T00:00:00Z'), at('2024-05-25T00:00:00Z'), at('2024-06-01T00:00:00Z')];
+
+        assert.equal(findBaseline(history, '2024-06-01T00:00:00Z').generatedAt, '2024-05-25T00:00:00Z');
+        assert.equal(findBaseline(history, '2024-06-01T00:00:00Z', 30).generatedAt, '2024-05-01T00:00:00Z');
+        // Nothing 60 days old yet: the oldest snapshot is used
+        assert.equal(findBaseline(history, '2024-06-01T00:00:00Z', 60).generatedAt, '2024-05-01T00:00:00Z');
+        assert.equal(findBaseline(history, '2024-05-01T00:00:00Z'), null);
+    });
+
+    it('diffs technologies and category counts', () => {
+        const tech = (name, category) => ({ name, category, repoCount: 1 });
+        const diff = diffSnapshots(
+            at('2024-05-01T00:00:00Z', [tech('Go', 'language'), tech('Redis', 'db')]),
+            at('2024-06-01T00:00:00Z', [tech('Go', 'language'), tech('Rust', 'language'), tech('Zig', 'language')])
+        );
+
+        assert.deepEqual(diff.added.map(entry => entry.name), ['Rust', 'Zig']);
+        assert.deepEqual(diff.removed.map(entry => entry.name), ['Redis']);
+        assert.deepEqual(diff.categories, [
+            { category: 'language', before: 1, after: 3, delta: 2 },
+            { category: 'db', before: 1, after: 0, delta: -1 }
+        ]);
+        assert.equal(formatDiff(diff), [
+            'Changes since 2024-05-01T00:00:00Z:',
+            '  Added: Rust, Zig',
+            '  Removed: Redis',
+            '  language: 1 -> 3 (+2)',
+            '  db: 1 -> 0 (-1)'
+        ].join('\n'));
+        assert.equal(formatDiff(diffSnapshots(null, at('2024-06-01T00:00:00Z'))), 'No previous snapshot to compare against.');
+    });
+});
+
+describe('changes section', () => {
+    const readme = '<!-- CHANGES:START style=changes -->\n<!-- CHANGES:END -->\n';
+    const render = (stacks, history, filters = {}) =>
+        rewriteSections(readme, [{ marker: 'CHANGES', ...filters }], stacks, { history }).split('\n\n')[1];
+
+    it('has nothing to compare against on the first run', () => {
+        assert.equal(render(sampleStacks(), []), '_No earlier snapshot to compare against yet._');
+    });
+
+    it('lists additions, removals and category growth', () => {
+        const before = sampleStacks();
+        before.generatedAt = '2024-05-01T12:00:00Z';
+        before.repos.forEach(entry => {
+            entry.technologies = entry.technologies.filter(tech => tech.name !== 'Docker');
+        });
+        before.repos[1].technologies.push({ id: 'celery', name: 'Celery', category: 'tool' });
+
+        const markdown = rewriteSections(readme, [{ marker: 'CHANGES' }], sampleStacks(), {
+            history: [createSnapshot(before)]
+        });
+
+        assert.match(markdown, /\*\*New since 2024-05-01:\*\* Docker/);
+        assert.match(markdown, /\*\*No longer used:\*\* Celery/);
+        assert.match(markdown, /\*\*By category:\*\* infra \+1 \(0 → 1\), tool -1 \(2 → 1\)/);
+    });
+
+    it('applies the section filters to the baseline too', () => {
+        const history = [{ ...createSnapshot(sampleStacks()), generatedAt: '2024-05-01T12:00:00Z' }];
+
+        assert.equal(render(sampleStacks(), history, { categories: ['language'] }), '_No stack changes since 2024-05-01._');
+        assert.equal(render(sampleStacks(), history, { exclude: ['api', 'secret'] }), '_No stack changes since 2024-05-01._');
+    });
+
+    it('counts only the section repos in the baseline', () => {
+        const history = [{ ...createSnapshot(sampleStacks()), generatedAt: '2024-05-01T12:00:00Z' }];
+        const stacks = sampleStacks();
+        stacks.repos[0].technologies = stacks.repos[0].technologies.filter(tech => tech.name !== 'Docker');
+
+        assert.equal(render(stacks, history, { include: ['portfolio'] }),
+            '**No longer used:** Docker');
+    });
+
+    it('filters older snapshots without repo names by category', () => {
+        const legacy = createSnapshot(sampleStacks());
+        legacy.generatedAt = '2024-05-01T12:00:00Z';
+        legacy.technologies = legacy.technologies.map(({ repos, ...tech }) => tech);
+
+        assert.equal(render(sampleStacks(), [legacy], { categories: ['db'] }), '_No stack changes since 2024-05-01._');
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aliasKey, createNormaliser, normaliseStacks } from '../../scripts/techstack/normalise.js';
+
+const stacksOf = (...repos) => ({
+    owner: 'fixture',
+    repos: repos.map((technologies, index) => ({ repo: { name: `repo-${index}` }, technologies }))
+});
+
+const names = stacks => stacks.repos.map(({ technologies }) => technologies.map(tech => tech.name));
+
+describe('createNormaliser', () => {
+    it('compares names ignoring case, spaces, dots, dashes and underscores', () => {
+        assert.equal(aliasKey('Node.js'), 'nodejs');
+        assert.equal(aliasKey('node-js'), 'nodejs');
+        assert.equal(aliasKey('Docker Compose'), 'dockercompose');
+    });
+
+    it('maps built-in aliases by name or id', () => {
+        const normaliser = createNormaliser();
+
+        assert.deepEqual(normaliser.normalise({ id: 'postgres', name: 'postgres', category: 'db' }),
+            { id: 'postgresql', name: 'PostgreSQL', category: 'db' });
+        assert.equal(normaliser.normalise({ id: 'k8s', name: 'K8s cluster', category: 'hosting' }).name, 'Kubernetes');
+        assert.deepEqual(normaliser.normalise({ id: 'deno', name: 'Deno', category: 'language' }),
+            { id: 'deno', name: 'Deno', category: 'language' });
+    });
+
+    it('applies alias, category and hide overrides', () => {
+        const normaliser = createNormaliser({
+            aliases: { 'next.js': 'Next', pg: 'Postgres' },
+            categories: { postgres: 'database' },
+            hide: ['dotenv', 'GitHub Actions']
+        });
+
+        assert.equal(normaliser.normalise({ name: 'nextjs', category: 'framework' }).name, 'Next');
+        assert.deepEqual(normaliser.normalise({ id: 'pg', name: 'pg', category: 'db' }),
+            { id: 'postgres', name: 'Postgres', category: 'database' });
+        assert.equal(normaliser.normalise({ name: 'dotenv', category: 'tool' }), null);
+        // Hidden by canonical name, whatever the analyser called it
+        assert.equal(normaliser.normalise({ name: 'gha', category: 'ci' }), null);
+        assert.equal(normaliser.hasCategoryOverride('Postgres'), true);
+    });
+});
+
+describe('normaliseStacks', () => {
+    it('merges aliases within a repo', () => {
+        const stacks = normaliseStacks(stacksOf(
+            [{ name: 'nodejs', category: 'language' }, { name: 'Node', category: 'language' }, { name: 'ts', category: 'language' }]
+        ));
+
+        assert.deepEqual(names(stacks), [['Node.js', 'TypeScript']]);
+    });
+
+    it('settles a technology on its most common category', () => {
+        const stacks = normaliseStacks(stacksOf(
+            [{ name: 'Docker', category: 'tool' }],
+            [{ name: 'docker', category: 'infra' }],
+            [{ name: 'Docker', category: 'infra' }, { name: 'Make', category: null }]
+        ));
+
+        assert.deepEqual(stacks.repos.map(({ technologies }) => technologies[0].category), ['infra', 'infra', 'infra']);
+        assert.equal(stacks.repos[2].technologies[1].category, null);
+    });
+
+    it('keeps overridden categories and drops hidden technologies', () => {
+        const stacks = normaliseStacks(stacksOf(
+            [{ name: 'Docker', category: 'tool' }, { name: 'dotenv', category: 'tool' }],
+            [{ name: 'Docker', category: 'infra' }, { name: 'Docker', category: 'infra' }]
+        ), { categories: { Docker: 'containers' }, hide: ['dotenv'] });
+
+        assert.deepEqual(names(stacks), [['Docker'], ['Docker']]);
+        assert.deepEqual(stacks.repos.map(({ technologies }) => technologies[0].category), ['containers', 'containers']);
+    });
+
+    it('accepts null overrides', () => {
+        assert.deepEqual(names(normaliseStacks(stacksOf([{ name: 'golang', category: 'language' }]), null)), [['Go']]);
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRenderer, listRenderers, registerRenderer } from '../../scripts/techstack/renderers.js';
+import { findMarkerSection, parseAttributes, renderSection, replaceMarkerSection } from '../../scripts/techstack/readme.js';
+import { sampleStacks } from './helpers.js';
+
+describe('renderer registry', () => {
+    it('ships the built-in styles', () => {
+        ['summary', 'repos', 'badges', 'list', 'details', 'pie'].forEach(style => {
+            assert.ok(listRenderers().includes(style), style);
+        });
+    });
+
+    it('names the available styles for an unknown one', () => {
+        assert.throws(() => getRenderer('nope'), /Unknown README style "nope" \(available: summary, /);
+    });
+
+    it('renders with a registered style, passing parsed options', () => {
+        const calls = [];
+        registerRenderer('test-count', (stacks, options) => {
+            calls.push(options);
+            return `${stacks.repos.length} repos`;
+        });
+
+        assert.equal(renderSection(sampleStacks(), { style: 'test-count', limit: '3', color: 'red' }), '4 repos');
+        assert.deepEqual(calls, [{ color: 'red', limit: 3 }]);
+    });
+});
+
+describe('built-in renderers', () => {
+    const stacks = sampleStacks();
+
+    it('summary lists categories and a repo table by default', () => {
+        const markdown = renderSection(stacks);
+
+        assert.match(markdown, /^### Tech Stack overview for `fixture`/);
+        assert.match(markdown, /Last updated: `2024-06-01T12:00:00Z`/);
+        assert.match(markdown, /#### infra\n\n- Docker \(_3 repos_\)/);
+        assert.match(markdown, /\| \[api\]\(https:\/\/github\.com\/fixture\/api\) \| Public \| Docker, Flask, Python, Redis \|/);
+        assert.match(markdown, /\| \[secret\]\(https:\/\/github\.com\/fixture\/secret\) \| Private \| Docker, Go \|/);
+    });
+
+    it('list puts the most used technologies first and honours limit', () => {
+        assert.equal(renderSection(stacks, { style: 'list', limit: '2' }), 'Docker, JavaScript');
+        assert.equal(renderSection(stacks, { style: 'list', limit: '2', separator: ' · ' }), 'Docker · JavaScript');
+    });
+
+    it('badges escape shields.io separators', () => {
+        const markdown = renderSection(stacks, { style: 'badges' });
+
+        assert.match(markdown, /\*\*framework\*\*: !\[Flask\]\(https:\/\/img\.shields\.io\/badge\/Flask-1-0a0a0a\?style=flat&logo=flask&logoColor=white\)/);
+        assert.match(markdown, /!\[Three\.js\]\(https:\/\/img\.shields\.io\/badge\/Three\.js-1-/);
+    });
+
+    it('details renders one collapsible block per category', () => {
+        const markdown = renderSection(stacks, { style: 'details' });
+
+        assert.equal(markdown.match(/<details>/g).length, 5);
+        assert.match(markdown, /<summary><b>language<\/b> \(3\)<\/summary>\n\n- JavaScript \(_2 repos_\)/);
+        assert.match(markdown, /- Go \(_1 repo_\)/);
+    });
+
+    it('repos sorts by technology count', () => {
+        const rows = renderSection(stacks, { style: 'repos', limit: '2' }).split('\n').slice(2);
+        assert.deepEqual(rows.map(row => row.split(' | ')[0]), [
+            '| [api](https://github.com/fixture/api)',
+            '| [portfolio](https://github.com/fixture/portfolio)'
+        ]);
+    });
+
+    it('pie emits a mermaid chart of category totals', () => {
+        assert.equal(renderSection(stacks, { style: 'pie', limit: '2', title: 'Mix' }), [
+            '```mermaid',
+            'pie title Mix',
+            '    "language" : 4',
+            '    "infra" : 3',
+            '```'
+        ].join('\n'));
+    });
+});
+
+describe('marker sections', () => {
+    const readme = 'Intro\n<!-- TECHSTACK:START style=list title="My stack" -->\nold\n<!-- TECHSTACK:END -->\nOutro\n';
+
+    it('parses START marker attributes, quoted or not', () => {
+        assert.deepEqual(findMarkerSection(readme, 'TECHSTACK').attributes, { style: 'list', title: 'My stack' });
+        assert.deepEqual(parseAttributes(' limit=5 badge-style=for-the-badge'), { limit: '5', 'badge-style': 'for-the-badge' });
+    });
+
+    it('replaces only the content between the markers', () => {
+        const updated = replaceMarkerSection(readme, 'TECHSTACK', attributes => `new ${attributes.style}`);
+
+        assert.equal(updated, 'Intro\n<!-- TECHSTACK:START style=list title="My stack" -->\n\nnew list\n\n<!-- TECHSTACK:END -->\nOutro\n');
+    });
+
+    it('fails when the markers are missing', () => {
+        assert.equal(findMarkerSection('no markers', 'TECHSTACK'), null);
+        assert.throws(() => replaceMarkerSection('no markers', 'TECHSTACK', () => ''), /not found in README/);
+    });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { LocalRepoSource } from '../../scripts/techstack/repoSources.js';
+import { REPOS_DIR } from './helpers.js';
+
+describe('LocalRepoSource', () => {
+    const source = new LocalRepoSource({ owner: 'fixture', reposDir: REPOS_DIR });
+
+    it('lists every fixture directory with its repo.json metadata', async () => {
+        const repos = await source.listRepos();
+
+        assert.deepEqual(repos.map(repo => repo.name), ['api', 'notes', 'portfolio']);
+
+        const portfolio = repos.find(repo => repo.name === 'portfolio');
+        assert.equal(portfolio.url, 'https://github.com/fixture/portfolio');
+        assert.equal(portfolio.description, 'Interactive 3D portfolio');
+        assert.equal(portfolio.stars, 12);
+        assert.equal(portfolio.dir, path.join(REPOS_DIR, 'portfolio'));
+    });
+
+    it('takes the SHA from repo.json', async () => {
+        const repos = await source.listRepos();
+        const portfolio = repos.find(repo => repo.name === 'portfolio');
+
+        assert.equal(await source.headSha(portfolio), '1111111111111111111111111111111111111111');
+    });
+
+    it('has no SHA for a plain folder inside another checkout', async () => {
+        const repos = await source.listRepos();
+        const notes = repos.find(repo => repo.name === 'notes');
+
+        assert.equal(await source.headSha(notes), null);
+    });
+
+    it('checks out in place', async () => {
+        const [api] = await source.listRepos();
+        assert.equal(await source.checkout(api, '/unused'), api.dir);
+    });
+});
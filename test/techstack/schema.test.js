@@ -0,0 +1,43 @@
+import { before, after, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, validateStacks } from '../../scripts/techstack/schema.js';
+import { collectStacks } from '../../scripts/techstack/sync.js';
+import { normaliseStacks } from '../../scripts/techstack/normalise.js';
+import { scoreStacks } from '../../scripts/techstack/scoring.js';
+import { offlineRun } from './helpers.js';
+
+describe('validateStacks', () => {
+    let stacks;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        const run = offlineRun({ readmePath: null, stacksPath: null });
+        stacks = scoreStacks(normaliseStacks(await collectStacks(run)));
+    });
+    after(() => mock.restoreAll());
+
+    it('accepts what the sync produces', async () => {
+        assert.equal(stacks.schemaVersion, SCHEMA_VERSION);
+        assert.deepEqual(await validateStacks(stacks), []);
+    });
+
+    it('reports missing required properties', async () => {
+        const { owner, ...withoutOwner } = stacks;
+        assert.ok(owner);
+        assert.ok((await validateStacks(withoutOwner)).includes('#: missing "owner"'));
+    });
+
+    it('reports wrong types with a JSON pointer', async () => {
+        const broken = structuredClone(stacks);
+        broken.repos[0].repo.private = 'no';
+
+        assert.deepEqual(await validateStacks(broken), ['#/repos/0/repo/private: expected boolean, got string']);
+    });
+
+    it('rejects other schema versions and malformed dates', async () => {
+        const errors = await validateStacks({ ...stacks, schemaVersion: 2, generatedAt: 'last week' });
+
+        assert.ok(errors.includes(`#/schemaVersion: must be ${SCHEMA_VERSION}`));
+        assert.ok(errors.includes('#/generatedAt: must be an ISO 8601 date-time'));
+    });
+});
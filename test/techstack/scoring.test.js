@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SCORING, scoreStacks } from '../../scripts/techstack/scoring.js';
+import { rankTechnologies } from '../../scripts/techstack/aggregate.js';
+import { renderSection } from '../../scripts/techstack/readme.js';
+
+const stacks = () => ({
+    owner: 'fixture',
+    generatedAt: '2024-06-01T00:00:00Z',
+    repos: [
+        {
+            repo: { name: 'old', pushedAt: '2021-06-01T00:00:00Z', stars: 0, languages: { Go: 1000 } },
+            technologies: [{ name: 'Go', category: 'language' }, { name: 'Redis', category: 'db' }]
+        },
+        {
+            repo: { name: 'legacy', pushedAt: '2021-06-01T00:00:00Z', stars: 0, languages: { Go: 1000 } },
+            technologies: [{ name: 'Go', category: 'language' }, { name: 'Redis', category: 'db' }]
+        },
+        {
+            repo: { name: 'fresh', pushedAt: '2024-05-31T00:00:00Z', stars: 40, languages: { TypeScript: 90000 } },
+            technologies: [{ name: 'TypeScript', category: 'language' }]
+        }
+    ]
+});
+
+const byName = scored => Object.fromEntries(scored.technologies.map(tech => [tech.name, tech]));
+
+describe('scoreStacks', () => {
+    it('records the settings and raw components', () => {
+        const scored = scoreStacks(stacks());
+        const { Go, TypeScript } = byName(scored);
+
+        assert.deepEqual(scored.scoring, DEFAULT_SCORING);
+        assert.deepEqual(Go.components, { repos: 2, bytes: 2000, recency: 0.25, stars: 0 });
+        assert.equal(TypeScript.components.bytes, 90000);
+        assert.equal(TypeScript.components.recency, 0.998);
+    });
+
+    it('lets code volume, recency and stars outrank a higher repo count', () => {
+        const scored = scoreStacks(stacks());
+
+        assert.deepEqual(scored.technologies.map(tech => tech.name), ['TypeScript', 'Go', 'Redis']);
+        assert.equal(byName(scored).TypeScript.score, 85.7);
+    });
+
+    it('follows the configured weights', () => {
+        const scored = scoreStacks(stacks(), { weights: { repos: 1, bytes: 0, recency: 0, stars: 0 } });
+
+        assert.deepEqual(scored.technologies.map(tech => [tech.name, tech.score]), [['Go', 100], ['Redis', 100], ['TypeScript', 50]]);
+        assert.deepEqual(scored.scoring.weights, { repos: 1, bytes: 0, recency: 0, stars: 0 });
+    });
+
+    it('ignores signals no repo has', () => {
+        const unsignalled = stacks();
+        unsignalled.repos.forEach(({ repo }) => {
+            delete repo.languages;
+            repo.stars = 0;
+        });
+
+        const { Go } = byName(scoreStacks(unsignalled, { halfLifeDays: 100000 }));
+        // Only repos and recency count, and Go leads both
+        assert.equal(Go.score, 100);
+    });
+
+    it('ranks renderers by score', () => {
+        const scored = scoreStacks(stacks());
+
+        assert.equal(rankTechnologies(scored)[0].score, 85.7);
+        assert.equal(renderSection(scored, { style: 'list' }), 'TypeScript, Go, Redis');
+        // Unscored stacks fall back to repo count
+        assert.equal(renderSection(stacks(), { style: 'list' }), 'Go, Redis, TypeScript');
+    });
+});
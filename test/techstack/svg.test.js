@@ -0,0 +1,98 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+    THEMES, cardFileName, renderCategoryDonut, renderLanguageBars, renderTopCard, writeCards
+} from '../../scripts/techstack/svg.js';
+import { scoreStacks } from '../../scripts/techstack/scoring.js';
+import { renderSection } from '../../scripts/techstack/readme.js';
+import { sampleStacks } from './helpers.js';
+
+const percentages = svg => [...svg.matchAll(/>([\d.]+)%</g)].map(match => match[1]);
+
+describe('SVG cards', () => {
+    const stacks = scoreStacks(sampleStacks());
+
+    it('share languages by bytes of code when known', () => {
+        const withBytes = sampleStacks();
+        withBytes.repos[0].repo.languages = { JavaScript: 300 };
+        withBytes.repos[1].repo.languages = { Python: 100 };
+
+        const svg = renderLanguageBars(scoreStacks(withBytes), THEMES.light);
+
+        assert.match(svg, /<title>Languages<\/title>/);
+        assert.match(svg, />JavaScript<\/text>[\s\S]*>Python<\/text>/);
+        assert.deepEqual(percentages(svg), ['75.0', '25.0']);
+        assert.doesNotMatch(svg, />Go</);
+    });
+
+    it('fall back to scores and say when there are no languages', () => {
+        assert.equal(percentages(renderLanguageBars(stacks, THEMES.dark)).length, 3);
+
+        const empty = { ...stacks, technologies: [] };
+        assert.match(renderLanguageBars(empty, THEMES.dark), /No languages detected/);
+    });
+
+    it('draw one donut arc and legend row per category', () => {
+        const svg = renderCategoryDonut(stacks, THEMES.dark, { limit: 2 });
+
+        assert.equal(svg.match(/stroke-dasharray/g).length, 2);
+        assert.match(svg, />language<\/text>[\s\S]*>infra<\/text>/);
+        assert.deepEqual(percentages(svg), ['57.1', '42.9']);
+    });
+
+    it('rank the top card by score and escape names', () => {
+        const named = scoreStacks({
+            ...sampleStacks(),
+            repos: [{ repo: { name: 'app' }, technologies: [{ name: 'C<++>', category: 'language & more' }] }]
+        });
+
+        assert.match(renderTopCard(stacks, THEMES.light, { limit: 3 }), /<title>Top 3 technologies<\/title>[\s\S]*>1\.<\/text>\n<text x="44" y="67" font-size="12" fill="#1f2328">Docker</);
+        assert.match(renderTopCard(named, THEMES.light), />C&lt;\+\+&gt;<\/text>[\s\S]*>language &amp; more</);
+    });
+
+    it('use each theme palette', () => {
+        assert.match(renderTopCard(stacks, THEMES.dark), /fill="#0d1117"/);
+        assert.match(renderTopCard(stacks, THEMES.light), /fill="#ffffff"/);
+    });
+});
+
+describe('writeCards', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'techstack-cards-'));
+    });
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    it('writes every card in light and dark', async () => {
+        const cardsDir = path.join(dir, 'cards');
+        const written = await writeCards(scoreStacks(sampleStacks()), cardsDir, { limit: 2 });
+
+        assert.equal(written.length, 6);
+        assert.deepEqual((await readdir(cardsDir)).sort(), [
+            'categories-dark.svg', 'categories-light.svg', 'languages-dark.svg',
+            'languages-light.svg', 'top-dark.svg', 'top-light.svg'
+        ]);
+        assert.match(await readFile(path.join(cardsDir, cardFileName('top', 'dark')), 'utf8'), /Top 2 technologies/);
+    });
+
+    it('embeds them with a cards section', () => {
+        const markdown = renderSection(sampleStacks(), { style: 'cards', cards: 'top, languages' }, { cardsPath: 'techstack-cards' });
+
+        assert.equal(markdown, [
+            '<picture>',
+            '  <source media="(prefers-color-scheme: dark)" srcset="techstack-cards/top-dark.svg">',
+            '  <img alt="Top technologies" src="techstack-cards/top-light.svg">',
+            '</picture>',
+            '<picture>',
+            '  <source media="(prefers-color-scheme: dark)" srcset="techstack-cards/languages-dark.svg">',
+            '  <img alt="Languages" src="techstack-cards/languages-light.svg">',
+            '</picture>'
+        ].join('\n'));
+        assert.throws(() => renderSection(sampleStacks(), { style: 'cards' }), /style=cards needs SVG cards/);
+        assert.throws(() => renderSection(sampleStacks(), { style: 'cards', cards: 'pie' }, { cardsPath: 'x' }), /Unknown card "pie"/);
+    });
+});
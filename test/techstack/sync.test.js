@@ -0,0 +1,151 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { runSync } from '../../scripts/techstack/sync.js';
+import { validateStacks } from '../../scripts/techstack/schema.js';
+import { createWorkspace, offlineRun } from './helpers.js';
+
+describe('runSync against local fixtures', () => {
+    let workspace;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+    after(() => mock.restoreAll());
+
+    beforeEach(async () => {
+        workspace = await createWorkspace();
+    });
+    afterEach(() => workspace.cleanup());
+
+    it('writes stacks.json and the README section', async () => {
+        const { stacks, changed } = await runSync(offlineRun(workspace));
+
+        assert.equal(changed, true);
+        // notes has no stack.json, so the analyser skips it
+        assert.deepEqual(stacks.repos.map(({ repo }) => repo.name), ['api', 'portfolio']);
+
+        const written = JSON.parse(await readFile(workspace.stacksPath, 'utf8'));
+        assert.deepEqual(await validateStacks(written), []);
+        assert.equal(written.generatedAt, '2024-06-01T12:00:00Z');
+
+        const readme = await readFile(workspace.readmePath, 'utf8');
+        assert.match(readme, /Tech Stack overview for `fixture`/);
+        assert.match(readme, /Three\.js/);
+        assert.match(readme, /Flask/);
+        assert.match(readme, /<!-- TECHSTACK:END -->/);
+    });
+
+    it('reuses cached results for repos whose SHA has not moved', async () => {
+        const analysed = [];
+        const countingRun = options => {
+            const run = offlineRun(workspace, { cachePath: workspace.cachePath, ...options });
+            const { analyser } = run;
+            run.analyser = {
+                analyse: repoDir => {
+                    analysed.push(path.basename(repoDir));
+                    return analyser.analyse(repoDir);
+                }
+            };
+            return run;
+        };
+
+        await runSync(countingRun());
+        assert.deepEqual(analysed.sort(), ['api', 'notes', 'portfolio']);
+
+        analysed.length = 0;
+        const { stacks } = await runSync(countingRun({ now: new Date('2024-06-08T12:00:00Z') }));
+
+        // notes produced nothing to cache, so it is the only one analysed again
+        assert.deepEqual(analysed, ['notes']);
+        assert.deepEqual(stacks.repos.map(({ repo }) => repo.name), ['api', 'portfolio']);
+    });
+
+    it('leaves everything untouched when only timestamps would change', async () => {
+        await runSync(offlineRun(workspace));
+        const stacksBefore = await readFile(workspace.stacksPath, 'utf8');
+        const readmeBefore = await readFile(workspace.readmePath, 'utf8');
+
+        const { changed } = await runSync(offlineRun(workspace, { now: new Date('2024-06-08T12:00:00Z') }));
+
+        assert.equal(changed, false);
+        assert.equal(await readFile(workspace.stacksPath, 'utf8'), stacksBefore);
+        assert.equal(await readFile(workspace.readmePath, 'utf8'), readmeBefore);
+    });
+
+    it('rewrites stacks.json when only repo metadata changed', async () => {
+        await runSync(offlineRun(workspace));
+
+        const run = offlineRun(workspace, { now: new Date('2024-06-08T12:00:00Z') });
+        const { source } = run;
+        run.source = {
+            ...source,
+            listRepos: async () => (await source.listRepos()).map(repo =>
+                repo.name === 'api' ? { ...repo, stars: 4 } : repo
+            ),
+            headSha: repo => source.headSha(repo),
+            checkout: repo => source.checkout(repo)
+        };
+
+        assert.equal((await runSync(run)).changed, true);
+        const written = JSON.parse(await readFile(workspace.stacksPath, 'utf8'));
+        assert.equal(written.repos.find(({ repo }) => repo.name === 'api').repo.stars, 4);
+    });
+
+    it('reports pending changes on a dry run without writing', async () => {
+        const readmeBefore = await readFile(workspace.readmePath, 'utf8');
+
+        const { changed } = await runSync(offlineRun(workspace, { dryRun: true }));
+
+        assert.equal(changed, true);
+        await assert.rejects(stat(workspace.stacksPath), { code: 'ENOENT' });
+        assert.equal(await readFile(workspace.readmePath, 'utf8'), readmeBefore);
+    });
+
+    it('ignores the moving baseline of a changes section', async () => {
+        await writeFile(workspace.readmePath, '<!-- TECHSTACK:START style=changes -->\n<!-- TECHSTACK:END -->\n');
+        const run = date => runSync(offlineRun(workspace, {
+            historyPath: workspace.historyPath,
+            now: new Date(date)
+        }));
+
+        await run('2024-06-01T12:00:00Z');
+        // First comparison against a snapshot rewrites the placeholder text
+        assert.equal((await run('2024-06-08T12:00:00Z')).changed, true);
+        assert.match(await readFile(workspace.readmePath, 'utf8'), /No stack changes since 2024-06-01/);
+
+        // Only the baseline date would move from here on
+        assert.equal((await run('2024-06-15T12:00:00Z')).changed, false);
+        assert.match(await readFile(workspace.readmePath, 'utf8'), /No stack changes since 2024-06-01/);
+    });
+
+    it('creates missing cards and exports even when nothing changed', async () => {
+        await runSync(offlineRun(workspace));
+
+        const cardsDir = path.join(workspace.dir, 'cards');
+        const csvPath = path.join(workspace.dir, 'stacks.csv');
+        const { changed } = await runSync(offlineRun(workspace, {
+            now: new Date('2024-06-08T12:00:00Z'),
+            cards: { dir: cardsDir },
+            exports: { csv: csvPath }
+        }));
+
+        assert.equal(changed, false);
+        assert.equal((await readdir(cardsDir)).length, 6);
+        assert.match(await readFile(csvPath, 'utf8'), /portfolio/);
+
+        // Existing files are left alone on unchanged runs
+        await rm(path.join(cardsDir, 'top-dark.svg'));
+        await writeFile(csvPath, 'kept\n');
+        await runSync(offlineRun(workspace, {
+            now: new Date('2024-06-15T12:00:00Z'),
+            cards: { dir: cardsDir },
+            exports: { csv: csvPath }
+        }));
+
+        assert.equal((await readdir(cardsDir)).length, 6);
+        assert.equal(await readFile(csvPath, 'utf8'), 'kept\n');
+    });
+});
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite';
+
+// Library build of Portfolio3D (src/index.js); three and gsap come from the host app
+export default defineConfig({
+  // The site's sample data in public/ is not part of the package
+  publicDir: false,
+  build: {
+    outDir: 'dist/lib',
+    sourcemap: true,
+    lib: {
+      entry: 'src/index.js',
+      formats: ['es'],
+      fileName: 'portfolio-3d'
+    },
+    rollupOptions: {
+      external: [/^three(\/.*)?$/, 'gsap']
+    }
+  }
+});